@@ -0,0 +1,146 @@
+import fetch from 'node-fetch';
+
+// Defaults stay well under VRChat's limits so bursts of posts don't get the account throttled
+const DEFAULT_LIMITS = {
+    concurrency: 2, // Requests in flight at once
+    burst: 5, // Token bucket size
+    perSecond: 1, // Token refill rate
+    maxWaitMs: 60 * 1000 // Longest Retry-After worth waiting for before handing the response back
+};
+// 429 without a Retry-After header
+const DEFAULT_THROTTLE_MS = 10 * 1000;
+const MAX_AUTO_RETRIES = 2;
+
+let limits = { ...DEFAULT_LIMITS };
+let tokens = limits.burst;
+let lastRefill = Date.now();
+let pausedUntil = 0;
+let active = 0;
+let timer = null;
+const queue = [];
+// A request and its automatic retries count as one request; the retries are counted separately
+const stats = { requests: 0, throttled: 0, retries: 0, totalWaitMs: 0, lastThrottledAt: null };
+
+function refillTokens() {
+    const now = Date.now();
+    tokens = Math.min(limits.burst, tokens + (now - lastRefill) / 1000 * limits.perSecond);
+    lastRefill = now;
+}
+
+function wakeAt(ms) {
+    if (timer) return;
+    timer = setTimeout(() => {
+        timer = null;
+        pump();
+    }, Math.max(0, ms));
+}
+
+function pump() {
+    while (active < limits.concurrency && queue.length > 0) {
+        const now = Date.now();
+        if (now < pausedUntil) {
+            wakeAt(pausedUntil - now);
+            return;
+        }
+        refillTokens();
+        if (tokens < 1) {
+            wakeAt((1 - tokens) / limits.perSecond * 1000);
+            return;
+        }
+        tokens -= 1;
+        run(queue.shift());
+    }
+}
+
+// Retry-After is either delta-seconds or an HTTP date
+export function parseRetryAfter(value) {
+    if (!value) return null;
+    const seconds = Number(value);
+    if (Number.isFinite(seconds)) return Math.max(0, seconds * 1000);
+    const date = Date.parse(value);
+    return Number.isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+function retryAfterMs(res) {
+    const wait = parseRetryAfter(res.headers.get('retry-after'));
+    return wait === null && res.status === 429 ? DEFAULT_THROTTLE_MS : wait;
+}
+
+async function run(request) {
+    active += 1;
+    if (request.attempts === 0) stats.requests += 1;
+    // Time queued until the attempt that settles the request, retries' waits included
+    const waitedMs = Date.now() - request.enqueuedAt;
+    try {
+        const res = await fetch(request.url, request.options);
+        const wait = res.status === 429 || res.status === 503 ? retryAfterMs(res) : null;
+
+        if (wait !== null) {
+            if (res.status === 429) {
+                stats.throttled += 1;
+                stats.lastThrottledAt = new Date().toISOString();
+            }
+            // Everyone waits, not just this request
+            pausedUntil = Math.max(pausedUntil, Date.now() + Math.min(wait, limits.maxWaitMs));
+            if (wait <= limits.maxWaitMs && request.attempts < MAX_AUTO_RETRIES && isReplayable(request.options)) {
+                console.log(`VRChat API asked to wait ${Math.round(wait / 1000)}s; retrying ${request.url}`);
+                stats.retries += 1;
+                queue.unshift({ ...request, attempts: request.attempts + 1 });
+                return;
+            }
+        }
+        stats.totalWaitMs += waitedMs;
+        request.resolve(res);
+    } catch (err) {
+        stats.totalWaitMs += waitedMs;
+        request.reject(err);
+    } finally {
+        active -= 1;
+        pump();
+    }
+}
+
+// Stream bodies (multipart uploads) are consumed by the first attempt
+function isReplayable(options) {
+    return !options.body || typeof options.body === 'string';
+}
+
+/**
+ * fetch() for VRChat API calls: queued behind the concurrency cap and token bucket,
+ * and held back while the API has asked clients to slow down
+ */
+export function apiFetch(url, options = {}) {
+    return new Promise((resolve, reject) => {
+        queue.push({ url, options, resolve, reject, attempts: 0, enqueuedAt: Date.now() });
+        pump();
+    });
+}
+
+/**
+ * Queue state and totals since launch, for the UI
+ */
+export function getQueueStats() {
+    refillTokens();
+    return {
+        active,
+        queued: queue.length,
+        tokens: Math.floor(tokens),
+        pausedUntil: pausedUntil > Date.now() ? new Date(pausedUntil).toISOString() : null,
+        requests: stats.requests,
+        throttled: stats.throttled,
+        retries: stats.retries,
+        averageWaitMs: stats.requests ? Math.round(stats.totalWaitMs / stats.requests) : 0,
+        lastThrottledAt: stats.lastThrottledAt,
+        limits: { ...limits }
+    };
+}
+
+/**
+ * Change the limits (unspecified ones keep their current value)
+ */
+export function configureRequestQueue(changes) {
+    limits = { ...limits, ...changes };
+    tokens = Math.min(tokens, limits.burst);
+    pump();
+    return { ...limits };
+}
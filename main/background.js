@@ -1,8 +1,12 @@
 import path from 'path'
-import { app, ipcMain } from 'electron'
+import { app, ipcMain, dialog } from 'electron'
 import serve from 'electron-serve'
 import { createWindow } from './helpers'
 import { initScheduler } from './scheduler'
+import { startCalendarAutoExport } from './ical'
+import { authEvents } from './vrchat'
+import { migrateData, SchemaVersionError } from './storage'
+import { MIGRATIONS } from './migrations'
 import { registerIpcHandlers } from './ipc-handlers'
 import { checkForUpdates, getUpdateSettings } from './updater.js'
 
@@ -14,11 +18,30 @@ if (isProd) {
   app.setPath('userData', `${app.getPath('userData')} (development)`)
 }
 
-// Initialize Backend
-registerIpcHandlers()
-initScheduler().catch(console.error)
-
   ; (async () => {
+    // Nothing may read or write the data files before they are migrated
+    try {
+      await migrateData(MIGRATIONS)
+    } catch (err) {
+      console.error(err)
+      // Running on would let this version overwrite data it doesn't understand
+      // or that is only half migrated
+      await app.whenReady()
+      if (err instanceof SchemaVersionError) {
+        dialog.showErrorBox('Unsupported data version', err.message)
+      } else {
+        dialog.showErrorBox('Data migration failed', err.message)
+      }
+      app.quit()
+      return
+    }
+
+    // Initialize Backend
+    registerIpcHandlers()
+    initScheduler()
+      .then(() => startCalendarAutoExport())
+      .catch((err) => console.error(err))
+
     await app.whenReady()
 
     const mainWindow = createWindow('main', {
@@ -29,6 +52,11 @@ initScheduler().catch(console.error)
       },
     })
 
+    // Ask the renderer to log in again when a session stops working
+    authEvents.on('session-expired', (info) => {
+      mainWindow.webContents.send('auth:session-expired', info)
+    })
+
     if (isProd) {
       await mainWindow.loadURL('app://./home')
     } else {
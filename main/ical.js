@@ -0,0 +1,197 @@
+import fs from 'fs/promises';
+import { DateTime } from 'luxon';
+import { readJson, updateJson } from './storage.js';
+import { getPosts, getSchedulerSettings, postEvents } from './scheduler.js';
+import { getNextOccurrence, getOccurrencesBetween, normalizeRecurrence } from './recurrence.js';
+import { findBlackout } from './skip-rules.js';
+
+const SETTINGS_FILE = 'calendar-settings.json';
+const UID_DOMAIN = 'vrchat-group-scheduler';
+const REFRESH_DELAY_MS = 2000;
+const MAX_LINE_OCTETS = 75;
+// Yearly blackouts never end, so their EXDATEs only cover this far ahead
+const BLACKOUT_HORIZON_DAYS = 366;
+
+// Group names seen by the UI; the schedule itself only stores IDs
+const groupNames = new Map();
+let refreshTimer = null;
+let autoExportStarted = false;
+
+export function rememberGroupNames(groups) {
+    groups.forEach(g => groupNames.set(g.groupId, g.name));
+}
+
+/**
+ * Get calendar export settings from storage
+ */
+export async function getCalendarSettings() {
+    const defaults = {
+        autoExportPath: '' // '' = no automatic file
+    };
+    const settings = await readJson(SETTINGS_FILE, defaults);
+    return { ...defaults, ...settings };
+}
+
+/**
+ * Save calendar export settings and rewrite the automatic file right away
+ */
+export async function saveCalendarSettings(newSettings) {
+    await updateJson(SETTINGS_FILE, {}, current => ({ ...current, ...newSettings }));
+    await refreshCalendarFile();
+    return getCalendarSettings();
+}
+
+// RFC 5545 TEXT values
+function escapeText(value) {
+    return String(value ?? '')
+        .replace(/\\/g, '\\\\')
+        .replace(/;/g, '\\;')
+        .replace(/,/g, '\\,')
+        .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets continue on the next line after a space; multi-byte characters are not split
+function foldLine(line) {
+    const parts = [];
+    let current = '';
+    let octets = 0;
+    for (const char of line) {
+        const size = Buffer.byteLength(char);
+        const limit = parts.length === 0 ? MAX_LINE_OCTETS : MAX_LINE_OCTETS - 1;
+        if (octets + size > limit) {
+            parts.push(current);
+            current = '';
+            octets = 0;
+        }
+        current += char;
+        octets += size;
+    }
+    parts.push(current);
+    return parts.join('\r\n ');
+}
+
+function formatUtc(date) {
+    return new Date(date).toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// Wall-clock time in the post's zone; recurring posts keep their local time across DST changes
+function formatLocal(date, zone) {
+    return DateTime.fromJSDate(new Date(date), { zone }).toFormat("yyyyMMdd'T'HHmm'00'");
+}
+
+// The scheduler reads UNTIL as wall-clock time in the post's zone; with a TZID start,
+// RFC 5545 wants the real UTC instant instead
+function toUtcUntil(rrule, zone) {
+    return rrule.replace(/UNTIL=(\d{8})(?:T(\d{6}))?Z?/, (_, day, time = '000000') =>
+        `UNTIL=${DateTime.fromFormat(`${day}${time}`, 'yyyyMMddHHmmss', { zone }).toUTC().toFormat("yyyyMMdd'T'HHmmss'Z'")}`);
+}
+
+// Skip dates plus the occurrences a blackout will hold back
+function getExcludedDates(post, recurrence, zone, blackouts, now) {
+    const horizon = new Date(now.getTime() + BLACKOUT_HORIZON_DAYS * 24 * 60 * 60 * 1000);
+    const blackedOut = blackouts.length
+        ? getOccurrencesBetween(post, now, horizon).filter(d => findBlackout(blackouts, d, zone))
+        : [];
+    const local = [...(recurrence.exdates || []), ...blackedOut].map(d => formatLocal(d, zone));
+    return [...new Set(local)].sort();
+}
+
+function buildEvent(post, stamp, { blackouts, now }) {
+    const targets = post.groupIds?.length ? post.groupIds : [post.groupId];
+    const groups = targets.map(id => groupNames.get(id) || id).join(', ');
+    const recurrence = normalizeRecurrence(post.recurrence);
+    // IANA zone names as TZID are understood by the common calendar apps without a VTIMEZONE
+    const zone = post.timeZone || DateTime.local().zoneName;
+    const formatTime = (date) => (recurrence ? `;TZID=${zone}:${formatLocal(date, zone)}` : `:${formatUtc(date)}`);
+    const start = new Date(post.scheduledAt);
+
+    // The UID is the post ID alone, so editing a post's time or rule updates the subscribed event
+    const lines = [
+        'BEGIN:VEVENT',
+        `UID:${post.id}@${UID_DOMAIN}`,
+        `DTSTAMP:${stamp}`,
+        `DTSTART${formatTime(start)}`
+    ];
+    // Announcements are a moment in time; calendar events last as long as they were scheduled
+    if (post.kind === 'event' && post.event?.durationMinutes) {
+        lines.push(`DTEND${formatTime(start.getTime() + post.event.durationMinutes * 60000)}`);
+    }
+    if (recurrence) {
+        lines.push(`RRULE:${toUtcUntil(recurrence.rrule.replace(/^RRULE:/, ''), zone)}`);
+        const excluded = getExcludedDates(post, recurrence, zone, blackouts, now);
+        if (excluded.length) {
+            lines.push(`EXDATE;TZID=${zone}:${excluded.join(',')}`);
+        }
+    }
+    lines.push(
+        `SUMMARY:${escapeText(`[${groups}] ${post.title}`)}`,
+        `DESCRIPTION:${escapeText(post.text)}`
+    );
+    if (post.kind === 'event' && post.event?.category) {
+        lines.push(`CATEGORIES:${escapeText(post.event.category)}`);
+    }
+    if (post.updatedAt || post.createdAt) {
+        lines.push(`LAST-MODIFIED:${formatUtc(post.updatedAt || post.createdAt)}`);
+    }
+    lines.push('END:VEVENT');
+    return lines;
+}
+
+/**
+ * Pending one-off posts and recurring posts (one event with an RRULE each) as an iCalendar document.
+ * UIDs come from the post ID, so re-importing an export updates the events already in a calendar
+ * instead of duplicating them. Recurring occurrences inside `blackouts` are listed as EXDATEs.
+ */
+export function buildCalendar(posts, { now = new Date(), blackouts = [] } = {}) {
+    const stamp = formatUtc(now);
+    const events = [];
+
+    for (const post of posts) {
+        const upcoming = post.recurrence
+            ? post.status === 'recurring' && getNextOccurrence(post, now) !== null
+            : post.status === 'pending';
+        if (upcoming) events.push(...buildEvent(post, stamp, { blackouts, now }));
+    }
+
+    const lines = [
+        'BEGIN:VCALENDAR',
+        'VERSION:2.0',
+        'PRODID:-//VRChat Group Scheduler//EN',
+        'CALSCALE:GREGORIAN',
+        'METHOD:PUBLISH',
+        'X-WR-CALNAME:VRChat group schedule',
+        ...events,
+        'END:VCALENDAR'
+    ];
+    return lines.map(foldLine).join('\r\n') + '\r\n';
+}
+
+export async function writeCalendarFile(filePath) {
+    const { blackouts } = await getSchedulerSettings();
+    const calendar = buildCalendar(await getPosts(), { blackouts });
+    await fs.writeFile(filePath, calendar, 'utf8');
+}
+
+async function refreshCalendarFile() {
+    const { autoExportPath } = await getCalendarSettings();
+    if (!autoExportPath) return;
+    try {
+        await writeCalendarFile(autoExportPath);
+        console.log(`Calendar file updated: ${autoExportPath}`);
+    } catch (err) {
+        console.error('Failed to update calendar file:', err);
+    }
+}
+
+/**
+ * Keep the automatic .ics file in step with the schedule; bursts of changes are written once
+ */
+export function startCalendarAutoExport() {
+    if (autoExportStarted) return;
+    autoExportStarted = true;
+    postEvents.on('change', () => {
+        clearTimeout(refreshTimer);
+        refreshTimer = setTimeout(refreshCalendarFile, REFRESH_DELAY_MS);
+    });
+    refreshCalendarFile();
+}
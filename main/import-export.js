@@ -0,0 +1,278 @@
+import { DateTime } from 'luxon';
+import { getNextOccurrence } from './recurrence.js';
+
+// Schedules move between machines as JSON (everything needed to recreate a post, recurrence included)
+// or CSV (one-off posts only, for editing in a spreadsheet).
+export const EXPORT_VERSION = 1;
+export const CSV_COLUMNS = ['title', 'text', 'group', 'datetime', 'notification'];
+
+// What a post is, as opposed to what happened to it (status, attempts, remote IDs, ...)
+const PORTABLE_FIELDS = [
+    'id', 'kind', 'event', 'groupId', 'groupIds', 'title', 'text', 'scheduledAt', 'timeZone', 'recurrence',
+    'catchUp', 'sendNotification', 'visibility', 'roleIds', 'roleNames', 'expireAfterMinutes', 'imageId', 'imageName'
+];
+// Fields compared to tell an update from an unchanged post
+const COMPARED_FIELDS = PORTABLE_FIELDS.filter(f => f !== 'id');
+
+const TRUE_VALUES = ['true', 'yes', 'y', '1', 'on'];
+const FALSE_VALUES = ['false', 'no', 'n', '0', 'off', ''];
+
+export function formatFromPath(filePath) {
+    return filePath.toLowerCase().endsWith('.csv') ? 'csv' : 'json';
+}
+
+function toPortable(post) {
+    return Object.fromEntries(
+        PORTABLE_FIELDS.filter(f => post[f] !== undefined && post[f] !== null).map(f => [f, post[f]])
+    );
+}
+
+function escapeCsv(value) {
+    const text = value === undefined || value === null ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * @param {Array} groups - the user's groups, to write names next to IDs
+ * @returns {Object} { content, count, skipped } - skipped: posts CSV can't express (recurring, events)
+ */
+export function exportPosts(posts, format, groups = []) {
+    const nameOf = (groupId) => groups.find(g => g.groupId === groupId)?.name;
+
+    if (format === 'csv') {
+        const rows = posts.filter(p => !p.recurrence && p.kind !== 'event');
+        const lines = rows.map(p => [
+            p.title,
+            p.text,
+            nameOf(p.groupId) || p.groupId,
+            DateTime.fromISO(p.scheduledAt).setZone(p.timeZone || 'local').toISO({ suppressMilliseconds: true }),
+            p.sendNotification ? 'true' : 'false'
+        ].map(escapeCsv).join(','));
+        // BOM so spreadsheet apps read the file as UTF-8
+        return {
+            content: '\uFEFF' + [CSV_COLUMNS.join(','), ...lines].join('\r\n') + '\r\n',
+            count: rows.length,
+            skipped: posts.length - rows.length
+        };
+    }
+
+    const data = {
+        version: EXPORT_VERSION,
+        exportedAt: new Date().toISOString(),
+        posts: posts.map(p => ({ ...toPortable(p), groupName: nameOf(p.groupId) }))
+    };
+    return { content: JSON.stringify(data, null, 2), count: posts.length, skipped: 0 };
+}
+
+/**
+ * RFC 4180 CSV: quoted fields may contain commas, doubled quotes and line breaks
+ */
+export function parseCsv(content) {
+    const rows = [];
+    let row = [];
+    let field = '';
+    let quoted = false;
+    const text = content.replace(/^\uFEFF/, '');
+
+    for (let i = 0; i < text.length; i++) {
+        const c = text[i];
+        if (quoted) {
+            if (c === '"' && text[i + 1] === '"') {
+                field += '"';
+                i++;
+            } else if (c === '"') {
+                quoted = false;
+            } else {
+                field += c;
+            }
+        } else if (c === '"') {
+            quoted = true;
+        } else if (c === ',') {
+            row.push(field);
+            field = '';
+        } else if (c === '\n' || c === '\r') {
+            if (c === '\r' && text[i + 1] === '\n') i++;
+            row.push(field);
+            rows.push(row);
+            row = [];
+            field = '';
+        } else {
+            field += c;
+        }
+    }
+    if (field || row.length > 0) {
+        row.push(field);
+        rows.push(row);
+    }
+    // Blank lines carry no post
+    return rows.filter(r => r.some(cell => cell.trim()));
+}
+
+/**
+ * Read an export into entries shaped like posts; each keeps its line/index for error messages
+ */
+export function parseImport(content, format) {
+    if (format === 'csv') {
+        const [header = [], ...rows] = parseCsv(content);
+        const columns = header.map(h => h.trim().toLowerCase());
+        const missing = CSV_COLUMNS.filter(c => c !== 'notification' && !columns.includes(c));
+        if (missing.length) {
+            throw new Error(`CSV is missing column(s): ${missing.join(', ')}`);
+        }
+        return rows.map((cells, index) => {
+            const get = (name) => (cells[columns.indexOf(name)] ?? '').trim();
+            return {
+                row: index + 2, // 1-based, after the header
+                title: get('title'),
+                text: cells[columns.indexOf('text')] ?? '',
+                group: get('group'),
+                datetime: get('datetime'),
+                notification: columns.includes('notification') ? get('notification') : ''
+            };
+        });
+    }
+
+    let data;
+    try {
+        data = JSON.parse(content);
+    } catch (err) {
+        throw new Error(`Not a valid JSON file: ${err.message}`);
+    }
+    const posts = Array.isArray(data) ? data : data?.posts;
+    if (!Array.isArray(posts)) {
+        throw new Error('JSON file has no "posts" list');
+    }
+    if (data.version > EXPORT_VERSION) {
+        throw new Error(`File was exported by a newer version of the app (format ${data.version})`);
+    }
+    return posts.map((post, index) => ({ ...post, row: index + 1 }));
+}
+
+// Group IDs, names and short codes all work; a name shared by two groups has to be written as an ID
+function resolveGroup(value, groups) {
+    if (!value) return { error: 'Group is required' };
+    const byId = groups.find(g => g.groupId === value);
+    if (byId) return { group: byId };
+
+    const needle = String(value).trim().toLowerCase();
+    const matches = groups.filter(g => g.name?.toLowerCase() === needle || g.shortCode?.toLowerCase() === needle);
+    if (matches.length === 1) return { group: matches[0] };
+    if (matches.length > 1) return { error: `Group name "${value}" matches ${matches.length} groups; use the group ID` };
+    return { error: `You are not a member of group "${value}"` };
+}
+
+function parseBoolean(value) {
+    const text = String(value ?? '').trim().toLowerCase();
+    if (TRUE_VALUES.includes(text)) return true;
+    if (FALSE_VALUES.includes(text)) return false;
+    return null;
+}
+
+/**
+ * Check one entry and turn it into post data
+ * @returns {Object} { post, errors }
+ */
+function validateEntry(entry, groups, now) {
+    const errors = [];
+    const fromCsv = 'datetime' in entry;
+    const post = fromCsv ? {} : toPortable(entry);
+
+    let resolved;
+    if (fromCsv) {
+        resolved = resolveGroup(entry.group, groups);
+    } else {
+        // Group IDs are the same for every member; the exported name is the fallback
+        resolved = resolveGroup(entry.groupId, groups);
+        if (!resolved.group && entry.groupName) resolved = resolveGroup(entry.groupName, groups);
+    }
+    const { group, error: groupError } = resolved;
+    if (groupError) errors.push(groupError);
+    if (group) post.groupId = group.groupId;
+
+    if (!fromCsv && Array.isArray(entry.groupIds) && entry.groupIds.length > 0) {
+        const targets = entry.groupIds.map(id => resolveGroup(id, groups));
+        targets.filter(r => r.error).forEach(r => errors.push(r.error));
+        post.groupIds = targets.filter(r => r.group).map(r => r.group.groupId);
+    }
+
+    if (typeof entry.title !== 'string' || !entry.title.trim()) errors.push('Title is required');
+    if (typeof entry.text !== 'string' || !entry.text.trim()) errors.push('Text is required');
+    post.title = entry.title;
+    post.text = entry.text;
+
+    if (fromCsv) {
+        // Times without an offset are read in this machine's zone
+        const dt = DateTime.fromISO(entry.datetime.replace(' ', 'T'));
+        if (!entry.datetime || !dt.isValid) {
+            errors.push(`Invalid datetime "${entry.datetime}" (use e.g. 2026-10-20 21:00 or 2026-10-20T21:00+09:00)`);
+        } else {
+            post.scheduledAt = dt.toUTC().toISO();
+            post.timeZone = DateTime.local().zoneName;
+        }
+        const notification = parseBoolean(entry.notification);
+        if (notification === null) errors.push(`Invalid notification value "${entry.notification}" (use true or false)`);
+        post.sendNotification = notification === true;
+    } else if (!entry.scheduledAt || Number.isNaN(new Date(entry.scheduledAt).getTime())) {
+        errors.push('Invalid or missing scheduledAt');
+        delete post.scheduledAt;
+    }
+
+    if (post.recurrence) {
+        if (!post.recurrence.rrule) {
+            errors.push('Recurrence has no rule');
+        } else if (post.scheduledAt) {
+            try {
+                getNextOccurrence(post, now);
+            } catch (err) {
+                errors.push(`Invalid recurrence rule: ${err.message}`);
+            }
+        }
+    } else if (post.scheduledAt && new Date(post.scheduledAt) < now) {
+        errors.push('Scheduled time is in the past');
+    }
+
+    if (post.kind === 'event' && !(post.event?.durationMinutes > 0)) {
+        errors.push('Events need a duration');
+    }
+
+    post.status = post.recurrence ? 'recurring' : 'pending';
+    return { post, errors };
+}
+
+const isScheduled = (p) => p.status === 'pending' || p.status === 'recurring';
+const sameValue = (a, b) => JSON.stringify(a ?? null) === JSON.stringify(b ?? null);
+
+/**
+ * Validate a file's entries and compare them with what is already scheduled, without changing anything.
+ * Rows keep their post data so the same plan can be committed after the user has seen it.
+ * @returns {Array} rows - { row, action: 'add' | 'update' | 'unchanged' | 'invalid', title, groupId, scheduledAt, errors, changes, targetId, post }
+ */
+export function planImport(entries, existing, groups, now = new Date()) {
+    return entries.map(entry => {
+        const { post, errors } = validateEntry(entry, groups, now);
+        const base = {
+            row: entry.row,
+            title: post.title,
+            groupId: post.groupId,
+            scheduledAt: post.scheduledAt,
+            recurring: !!post.recurrence,
+            errors,
+            changes: []
+        };
+        if (errors.length) return { ...base, action: 'invalid' };
+
+        // Same ID: re-importing an export on the machine that made it
+        const target = existing.find(p => isScheduled(p) && p.id === post.id) ||
+            existing.find(p => isScheduled(p) && p.groupId === post.groupId && p.title === post.title &&
+                p.scheduledAt === post.scheduledAt);
+        if (!target) {
+            const { id: _id, ...fresh } = post;
+            return { ...base, action: 'add', post: fresh };
+        }
+
+        const changes = COMPARED_FIELDS.filter(f => f in post && !sameValue(post[f], target[f]));
+        return changes.length
+            ? { ...base, action: 'update', changes, targetId: target.id, post }
+            : { ...base, action: 'unchanged', targetId: target.id };
+    });
+}
@@ -1,16 +1,74 @@
-import { ipcMain } from 'electron';
-import { login, logout, verify2FA, getCurrentUser, getUserGroups, checkGroupPermission } from './vrchat.js';
-import { addPost, deletePost, getPosts } from './scheduler.js';
+import { ipcMain, dialog, BrowserWindow } from 'electron';
+import fs from 'fs/promises';
+import crypto from 'crypto';
+import {
+    login, logout, verify2FA, getCurrentUser, getAccounts, getActiveAccountId, switchAccount,
+    getUserGroups, checkGroupPermission, getGroupRoles,
+    readImageFile, uploadImage, getApiSettings, saveApiSettings
+} from './vrchat.js';
+import {
+    addPost, updatePost, deletePost, getPosts, previewPost,
+    getMissedPosts, resolveMissedPost, getSchedulerSettings, saveSchedulerSettings, releaseHeldPosts,
+    retryFailedGroups, getLivePosts, deleteLivePost, previewOccurrences, getNextRuns, pausePost, resumePost,
+    restorePost, purgeOldPosts, reassignPosts
+} from './scheduler.js';
+import { getQueueStats } from './api-client.js';
+import { exportPosts, parseImport, planImport, formatFromPath } from './import-export.js';
+import { writeCalendarFile, getCalendarSettings, saveCalendarSettings, rememberGroupNames } from './ical.js';
 import { checkForUpdates, getUpdateSettings, saveUpdateSettings, openDownloadPage } from './updater.js';
 
+// Posts held while the session was expired; not awaited so the login screen isn't kept waiting
+function releaseForActiveAccount() {
+    getActiveAccountId()
+        .then(accountId => releaseHeldPosts(accountId))
+        .catch(err => console.error('Failed to release held posts:', err));
+}
+
+// The import plan last shown to the user; only its rows can be committed
+let pendingImport = null;
+
+async function getGroupsOfCurrentUser() {
+    const user = await getCurrentUser();
+    if (!user) throw new Error('Not logged in');
+    return await getUserGroups(user.id);
+}
+
+/**
+ * Apply the rows of an approved import plan. Posts that stopped being scheduled since the
+ * preview (posted, deleted, ...) are left alone.
+ */
+async function commitImport(rows) {
+    const scheduled = new Set((await getPosts())
+        .filter(p => p.status === 'pending' || p.status === 'recurring')
+        .map(p => p.id));
+    // Imported posts belong to whoever imports them
+    const accountId = await getActiveAccountId();
+    let added = 0;
+    let updated = 0;
+    for (const row of rows) {
+        if (row.action === 'add') {
+            await addPost({ ...row.post, accountId });
+            added++;
+        } else if (row.action === 'update' && scheduled.has(row.targetId)) {
+            await updatePost(row.targetId, row.post);
+            updated++;
+        }
+    }
+    return { added, updated, skipped: rows.length - added - updated };
+}
+
 export function registerIpcHandlers() {
     // Auth
     ipcMain.handle('auth:login', async (_, { username, password }) => {
-        return await login(username, password);
+        const data = await login(username, password);
+        if (!data.requiresTwoFactorAuth) releaseForActiveAccount();
+        return data;
     });
 
-    ipcMain.handle('auth:verify-2fa', async (_, { code }) => {
-        return await verify2FA(code);
+    ipcMain.handle('auth:verify-2fa', async (_, { code, method }) => {
+        const data = await verify2FA(code, method);
+        releaseForActiveAccount();
+        return data;
     });
 
     ipcMain.handle('auth:get-user', async () => {
@@ -21,6 +79,27 @@ export function registerIpcHandlers() {
         return await logout();
     });
 
+    ipcMain.handle('auth:get-accounts', async () => {
+        return await getAccounts();
+    });
+
+    ipcMain.handle('auth:switch-account', async (_, { accountId }) => {
+        return await switchAccount(accountId);
+    });
+
+    // Posts of a profile whose account can't be identified move to the active account;
+    // the emptied profile is logged out
+    ipcMain.handle('auth:reassign-posts', async (_, { fromAccountId }) => {
+        const toAccountId = await getActiveAccountId();
+        if (!toAccountId || toAccountId === fromAccountId) {
+            throw new Error('Switch to the account that should own the posts first');
+        }
+        const moved = await reassignPosts(fromAccountId, toAccountId);
+        await logout(fromAccountId);
+        releaseForActiveAccount();
+        return moved;
+    });
+
 
     // Groups
     ipcMain.handle('groups:get-all', async (_, { userId }) => {
@@ -33,11 +112,49 @@ export function registerIpcHandlers() {
             if (!user) throw new Error('Not logged in');
             userId = user.id;
         }
-        return await getUserGroups(userId);
+        const groups = await getUserGroups(userId);
+        rememberGroupNames(groups); // For calendar exports, which only have group IDs
+        return groups;
+    });
+
+    ipcMain.handle('groups:check-permission', async (_, { groupId, permission }) => {
+        return await checkGroupPermission(groupId, permission);
+    });
+
+    ipcMain.handle('groups:get-roles', async (_, { groupId }) => {
+        return await getGroupRoles(groupId);
     });
 
-    ipcMain.handle('groups:check-permission', async (_, { groupId }) => {
-        return await checkGroupPermission(groupId);
+    ipcMain.handle('groups:get-live-posts', async (_, { groupId }) => {
+        return await getLivePosts(groupId);
+    });
+
+    ipcMain.handle('groups:delete-live-post', async (_, { groupId, postId }) => {
+        await deleteLivePost(groupId, postId);
+        return true;
+    });
+
+    // Images
+    ipcMain.handle('images:pick', async (event) => {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showOpenDialog(win, {
+            properties: ['openFile'],
+            filters: [{ name: 'Images', extensions: ['png', 'jpg', 'jpeg'] }]
+        });
+        if (result.canceled || result.filePaths.length === 0) return null;
+
+        const filePath = result.filePaths[0];
+        const image = await readImageFile(filePath);
+        return {
+            path: filePath,
+            name: image.name,
+            size: image.size,
+            previewUrl: `data:${image.mimeType};base64,${image.buffer.toString('base64')}`
+        };
+    });
+
+    ipcMain.handle('images:upload', async (_, { path }) => {
+        return await uploadImage(path);
     });
 
     // Posts
@@ -46,13 +163,154 @@ export function registerIpcHandlers() {
     });
 
     ipcMain.handle('posts:create', async (_, postData) => {
-        return await addPost(postData);
+        // Posts belong to the account active when they are created, whatever is active when they fire
+        const accountId = postData.accountId || await getActiveAccountId();
+        return await addPost({ ...postData, accountId });
+    });
+
+    ipcMain.handle('posts:update', async (_, { id, ...changes }) => {
+        return await updatePost(id, changes);
+    });
+
+    ipcMain.handle('posts:retry-failed-groups', async (_, { id }) => {
+        return await retryFailedGroups(id);
+    });
+
+    ipcMain.handle('posts:pause', async (_, { id }) => {
+        return await pausePost(id);
+    });
+
+    ipcMain.handle('posts:resume', async (_, { id, catchUp }) => {
+        return await resumePost(id, { catchUp });
+    });
+
+    // Import / export
+    ipcMain.handle('posts:export', async (event, { format = 'json', ids = null } = {}) => {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showSaveDialog(win, {
+            defaultPath: `schedules.${format}`,
+            filters: [format === 'csv' ? { name: 'CSV', extensions: ['csv'] } : { name: 'JSON', extensions: ['json'] }]
+        });
+        if (result.canceled || !result.filePath) return null;
+
+        const posts = (await getPosts()).filter(p =>
+            (p.status === 'pending' || p.status === 'recurring') && (!ids || ids.includes(p.id))
+        );
+        // Group names only make the file easier to read, so exporting works offline too
+        const groups = await getGroupsOfCurrentUser().catch(() => []);
+        const { content, count, skipped } = exportPosts(posts, format, groups);
+        await fs.writeFile(result.filePath, content, 'utf8');
+        return { path: result.filePath, count, skipped };
+    });
+
+    // Without a token a file is picked and its dry-run plan is returned; passing the plan's token
+    // back applies exactly the rows that were shown
+    ipcMain.handle('posts:import', async (event, { token = null } = {}) => {
+        if (token) {
+            if (!pendingImport || pendingImport.token !== token) {
+                throw new Error('Import preview has expired; open the file again');
+            }
+            const { rows } = pendingImport;
+            pendingImport = null;
+            return await commitImport(rows);
+        }
+
+        const win = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showOpenDialog(win, {
+            properties: ['openFile'],
+            filters: [{ name: 'Schedules', extensions: ['json', 'csv'] }]
+        });
+        if (result.canceled || result.filePaths.length === 0) return null;
+        const filePath = result.filePaths[0];
+
+        const entries = parseImport(await fs.readFile(filePath, 'utf8'), formatFromPath(filePath));
+        const rows = planImport(entries, await getPosts(), await getGroupsOfCurrentUser());
+        pendingImport = { token: crypto.randomUUID(), rows };
+        return { token: pendingImport.token, filePath, rows: rows.map(({ post: _post, ...row }) => row) };
     });
 
     ipcMain.handle('posts:delete', async (_, { id, force }) => {
         return await deletePost(id, force);
     });
 
+    ipcMain.handle('posts:restore', async (_, { id }) => {
+        return await restorePost(id);
+    });
+
+    ipcMain.handle('posts:preview', async (_, { draft, groupName }) => {
+        return await previewPost(draft, groupName);
+    });
+
+    ipcMain.handle('posts:preview-occurrences', async (_, { draft, count }) => {
+        return previewOccurrences(draft, count);
+    });
+
+    ipcMain.handle('posts:get-next-runs', async () => {
+        return getNextRuns();
+    });
+
+    ipcMain.handle('posts:get-missed', async () => {
+        return await getMissedPosts();
+    });
+
+    ipcMain.handle('posts:resolve-missed', async (_, { id, action, scheduledAt }) => {
+        return await resolveMissedPost(id, action, scheduledAt);
+    });
+
+    // Scheduler
+    ipcMain.handle('scheduler:get-settings', async () => {
+        return await getSchedulerSettings();
+    });
+
+    ipcMain.handle('scheduler:save-settings', async (_, settings) => {
+        const saved = await saveSchedulerSettings(settings);
+        // A shorter retention period applies right away
+        await purgeOldPosts(saved);
+        return saved;
+    });
+
+    // Calendar (.ics)
+    ipcMain.handle('calendar:export', async (event) => {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showSaveDialog(win, {
+            defaultPath: 'vrchat-schedule.ics',
+            filters: [{ name: 'iCalendar', extensions: ['ics'] }]
+        });
+        if (result.canceled || !result.filePath) return null;
+        await writeCalendarFile(result.filePath);
+        return result.filePath;
+    });
+
+    ipcMain.handle('calendar:pick-auto-export-path', async (event) => {
+        const win = BrowserWindow.fromWebContents(event.sender);
+        const result = await dialog.showSaveDialog(win, {
+            defaultPath: 'vrchat-schedule.ics',
+            filters: [{ name: 'iCalendar', extensions: ['ics'] }]
+        });
+        return result.canceled ? null : result.filePath;
+    });
+
+    ipcMain.handle('calendar:get-settings', async () => {
+        return await getCalendarSettings();
+    });
+
+    ipcMain.handle('calendar:save-settings', async (_, settings) => {
+        return await saveCalendarSettings(settings);
+    });
+
+    // API connection
+    ipcMain.handle('api:get-settings', async () => {
+        return await getApiSettings();
+    });
+
+    ipcMain.handle('api:save-settings', async (_, settings) => {
+        return await saveApiSettings(settings);
+    });
+
+    ipcMain.handle('api:get-queue-stats', async () => {
+        return getQueueStats();
+    });
+
     // Updater
     ipcMain.handle('updater:check', async (_, { channel } = {}) => {
         const settings = await getUpdateSettings();
@@ -0,0 +1,53 @@
+import crypto from 'crypto';
+import { updateJson } from './storage.js';
+import { normalizeRecurrence } from './recurrence.js';
+
+// Ordered data migrations, applied by migrateData() on startup.
+// Append new entries with the next version number; never edit one that has shipped.
+export const MIGRATIONS = [
+    {
+        version: 1,
+        description: 'Store recurrence as RRULE instead of { type, days }',
+        async up() {
+            await updateJson('posts.json', [], posts => posts.map(p =>
+                p.recurrence && !p.recurrence.rrule
+                    ? { ...p, recurrence: normalizeRecurrence(p.recurrence) }
+                    : p
+            ));
+        }
+    },
+    {
+        version: 2,
+        description: 'Treat "recurring" posts without a recurrence as one-off posts',
+        async up() {
+            await updateJson('posts.json', [], posts => posts.map(p =>
+                p.status === 'recurring' && !p.recurrence ? { ...p, status: 'pending' } : p
+            ));
+        }
+    },
+    {
+        version: 3,
+        description: 'Move the single cookie jar into an account profile and assign existing posts to it',
+        async up() {
+            let accountId = null;
+            await updateJson('auth.json', {}, auth => {
+                // Already converted by an earlier run that failed before the posts were written
+                if (auth.accounts) {
+                    accountId = auth.activeAccountId;
+                    return auth;
+                }
+                if (auth.cookies) accountId = crypto.randomUUID();
+                return {
+                    activeAccountId: accountId,
+                    pendingAccountId: null,
+                    accounts: accountId ? [{ id: accountId, cookies: auth.cookies }] : []
+                };
+            }, { encrypted: true });
+
+            if (!accountId) return;
+            await updateJson('posts.json', [], posts => posts.map(p =>
+                p.accountId ? p : { ...p, accountId }
+            ));
+        }
+    }
+];
@@ -0,0 +1,94 @@
+import { RRule, RRuleSet } from 'rrule';
+import { DateTime } from 'luxon';
+
+// Legacy recurrence days are JS getDay() values (0 = Sunday)
+const LEGACY_WEEKDAYS = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+
+/**
+ * Convert the pre-RRULE recurrence format ({ type, days }) into { rrule, exdates }.
+ * Already converted recurrences are returned unchanged.
+ */
+export function normalizeRecurrence(recurrence) {
+    if (!recurrence || recurrence.rrule) return recurrence;
+
+    const { type, days, ...rest } = recurrence;
+    let rrule = 'FREQ=DAILY';
+    if (type === 'weekly') {
+        rrule = days?.length
+            ? `FREQ=WEEKLY;BYDAY=${days.map(d => LEGACY_WEEKDAYS[d]).join(',')}`
+            : 'FREQ=WEEKLY';
+    } else if (type === 'monthly') {
+        rrule = 'FREQ=MONTHLY';
+    }
+    return { ...rest, rrule, exdates: [] };
+}
+
+/**
+ * rrule evaluates rules in "floating" time: wall-clock fields are stored as UTC.
+ * These convert between real instants and floating dates in the post's zone
+ * (the host zone for posts saved before time zones were stored).
+ */
+function toFloating(date, zone) {
+    const dt = DateTime.fromJSDate(date, { zone });
+    return new Date(Date.UTC(dt.year, dt.month - 1, dt.day, dt.hour, dt.minute, dt.second));
+}
+
+function fromFloating(date, zone) {
+    // Wall-clock times skipped by a DST jump are moved forward by luxon
+    return DateTime.fromObject({
+        year: date.getUTCFullYear(),
+        month: date.getUTCMonth() + 1,
+        day: date.getUTCDate(),
+        hour: date.getUTCHours(),
+        minute: date.getUTCMinutes(),
+        second: date.getUTCSeconds()
+    }, { zone }).toJSDate();
+}
+
+function getZone(post) {
+    return post.timeZone || 'local';
+}
+
+function buildRuleSet(post, { includeExcluded = false } = {}) {
+    const zone = getZone(post);
+    const recurrence = normalizeRecurrence(post.recurrence);
+    const dtstart = toFloating(new Date(post.scheduledAt), zone);
+    dtstart.setUTCSeconds(0, 0);
+
+    const set = new RRuleSet();
+    set.rrule(new RRule({ ...RRule.parseString(recurrence.rrule), dtstart }));
+    if (!includeExcluded) {
+        (recurrence.exdates || []).forEach(d => set.exdate(toFloating(new Date(d), zone)));
+    }
+    return set;
+}
+
+/**
+ * Next occurrence strictly after `after`, or null when the rule has ended.
+ * `includeExcluded` keeps skip dates in, for the scheduler to record them as skipped.
+ */
+export function getNextOccurrence(post, after = new Date(), { includeExcluded = false } = {}) {
+    const zone = getZone(post);
+    const next = buildRuleSet(post, { includeExcluded }).after(toFloating(after, zone));
+    return next ? fromFloating(next, zone) : null;
+}
+
+/**
+ * Whether an occurrence falls on one of the post's skip dates (compared by day in the post's zone)
+ */
+export function isExcludedOccurrence(post, occurrence) {
+    const zone = getZone(post);
+    const day = DateTime.fromJSDate(occurrence, { zone }).toISODate();
+    return (normalizeRecurrence(post.recurrence)?.exdates || [])
+        .some(d => DateTime.fromISO(d, { zone }).toISODate() === day);
+}
+
+/**
+ * Occurrences strictly between `from` and `to`, oldest first
+ */
+export function getOccurrencesBetween(post, from, to, { includeExcluded = false } = {}) {
+    const zone = getZone(post);
+    return buildRuleSet(post, { includeExcluded })
+        .between(toFloating(from, zone), toFloating(to, zone))
+        .map(d => fromFloating(d, zone));
+}
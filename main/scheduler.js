@@ -1,122 +1,741 @@
 import schedule from 'node-schedule';
-import { readJson, writeJson } from './storage.js';
-import { createGroupPost } from './vrchat.js';
+import { readJson, updateJson } from './storage.js';
+import {
+    createGroupPost, createGroupEvent, getGroupPosts, deleteGroupPost, uploadImage, getGroup, getCurrentUser
+} from './vrchat.js';
+import { getNextOccurrence, getOccurrencesBetween, isExcludedOccurrence } from './recurrence.js';
+import { findBlackout, isInQuietHours, describeBlackout } from './skip-rules.js';
+import { hasPlaceholders, buildTemplateVariables, renderTemplate } from './templates.js';
 import crypto from 'crypto'; // Native in Node
+import { EventEmitter } from 'events';
 
 const POSTS_FILE = 'posts.json';
+const SETTINGS_FILE = 'scheduler-settings.json';
+
+// Upper bound of missed occurrences recorded per recurring post on startup
+const MAX_MISSED_OCCURRENCES = 10;
+const MISSED_ERROR = 'Scheduled time passed while app was closed';
+const MAX_RETRY_DELAY_MS = 30 * 60 * 1000;
+const HELD_TOO_LONG_ERROR = 'Held while the session was expired; pick a new time or post it now';
+const EXPIRY_RETRY_DELAY_MS = 5 * 60 * 1000;
+const RESTORED_LATE_ERROR = 'Scheduled time passed while in the trash';
+const SKIP_DATE_REASON = 'Skip date';
+const QUIET_HOURS_REASON = 'Quiet hours';
+const LIVE_POSTS_PAGE_SIZE = 100;
+const LIVE_POSTS_MAX_PAGES = 5;
+const DAY_MS = 24 * 60 * 60 * 1000;
+// History outcomes that nothing will act on again
+const FINAL_HISTORY_STATUSES = ['posted', 'failed', 'missed', 'skipped'];
+
+// Emits 'change' after every write to posts.json (and blackout changes), for things derived from the schedule
+export const postEvents = new EventEmitter();
 
 // In-memory job store
 const jobs = new Map();
+// Auto-delete jobs, keyed by the post or history entry that was posted
+const expiryJobs = new Map();
+let purgeJob = null;
 
 export async function initScheduler() {
     console.log('Initializing Scheduler...');
     const posts = await readJson(POSTS_FILE, []);
+    const settings = await getSchedulerSettings();
+    const now = new Date();
 
     // Load pending AND recurring posts
     const activePosts = posts.filter(p => p.status === 'pending' || p.status === 'recurring');
     console.log(`Found ${activePosts.length} active posts.`);
 
-    activePosts.forEach(post => {
+    // Retries interrupted by a restart pick up where they left off
+    posts.filter(p => p.status === 'retrying').forEach(post => {
+        const retryAt = Math.max(new Date(post.nextRetryAt).getTime() || 0, Date.now() + 5000);
+        scheduleRetry(post, new Date(retryAt));
+    });
+
+    // Auto-deletes that came due while the app was closed run shortly after startup
+    posts.filter(p => p.expiresAt && !p.expiredAt).forEach(post => scheduleExpiry(post));
+
+    await purgeOldPosts(settings);
+    schedulePurge();
+
+    // Posts held for a login go out if the session works again (e.g. after a VRChat outage)
+    const heldAccounts = new Set(posts.filter(p => p.status === 'waiting-auth').map(p => p.accountId || null));
+    for (const accountId of heldAccounts) {
+        if (await getCurrentUser(accountId).catch(() => null)) {
+            await releaseHeldPosts(accountId);
+        }
+    }
+
+    // Sequential so catch-up writes to posts.json don't overlap
+    for (const post of activePosts) {
+        if (!post.recurrence && new Date(post.scheduledAt) < now) {
+            await catchUpOneOff(post, settings, now);
+            continue;
+        }
+        if (post.recurrence) {
+            await catchUpRecurring(post, settings, now);
+        }
         schedulePostJob(post);
+    }
+}
+
+/**
+ * Get scheduler settings from storage
+ */
+export async function getSchedulerSettings() {
+    const defaults = {
+        catchUpPolicy: 'skip', // 'skip', 'grace' or 'ask'
+        catchUpGraceMinutes: 15,
+        retryLimit: 5,
+        retryBaseDelaySeconds: 30,
+        templateLocale: '', // '' = system locale
+        broadcastStaggerSeconds: 3, // Pause between groups of a multi-group post
+        blackouts: [], // [{ from, to, label }] - "MM-DD" every year or "YYYY-MM-DD" once; recurring posts only
+        quietHours: {}, // groupId -> { start: 'HH:mm', end: 'HH:mm', timeZone }; recurring posts only
+        retentionDays: 0 // Trashed posts and history entries older than this are purged; 0 = keep forever
+    };
+    const settings = await readJson(SETTINGS_FILE, defaults);
+    return { ...defaults, ...settings };
+}
+
+/**
+ * Save scheduler settings to storage
+ */
+export async function saveSchedulerSettings(settings) {
+    await updateJson(SETTINGS_FILE, {}, current => ({ ...current, ...settings }));
+    // Blackouts are left out of the calendar feed
+    if (settings.blackouts) postEvents.emit('change');
+    return getSchedulerSettings();
+}
+
+// A per-post catchUp overrides the global policy
+function resolveCatchUp(post, settings) {
+    return {
+        policy: post.catchUp?.policy || settings.catchUpPolicy,
+        graceMinutes: post.catchUp?.graceMinutes ?? settings.catchUpGraceMinutes
+    };
+}
+
+function isWithinGrace(catchUp, occurrence, now) {
+    return catchUp.policy === 'grace' && now - occurrence <= catchUp.graceMinutes * 60000;
+}
+
+async function catchUpOneOff(post, settings, now) {
+    const catchUp = resolveCatchUp(post, settings);
+    const scheduledAt = new Date(post.scheduledAt);
+
+    if (isWithinGrace(catchUp, scheduledAt, now)) {
+        console.log(`Post ${post.id} is late by less than ${catchUp.graceMinutes} min. Posting now.`);
+        await executePost(post);
+        return;
+    }
+
+    console.log(`Post ${post.id} is in the past. Marking as missed.`);
+    await updatePostStatus(post.id, 'missed', {
+        error: MISSED_ERROR,
+        awaitingDecision: catchUp.policy === 'ask'
     });
 }
 
+async function catchUpRecurring(post, settings, now) {
+    const catchUp = resolveCatchUp(post, settings);
+    const occurrences = getMissedOccurrences(post, now);
+    if (occurrences.length === 0) return;
+
+    console.log(`Recurring post ${post.id} missed ${occurrences.length} occurrence(s).`);
+
+    // Only the most recent occurrence is worth posting late
+    const latest = occurrences[occurrences.length - 1];
+    const fireLatest = isWithinGrace(catchUp, latest, now);
+    const missed = fireLatest ? occurrences.slice(0, -1) : occurrences;
+
+    for (const occurrence of missed) {
+        // Occurrences that would have been skipped anyway aren't worth a decision
+        const skipReason = getSkipReason(post, occurrence, settings);
+        await addPost(createHistoryEntry(post, skipReason ? 'skipped' : 'missed', skipReason ? {
+            skipReason,
+            scheduledAt: occurrence.toISOString()
+        } : {
+            error: MISSED_ERROR,
+            awaitingDecision: catchUp.policy === 'ask',
+            scheduledAt: occurrence.toISOString()
+        }), true);
+    }
+    if (fireLatest) {
+        await executePost(post, latest);
+    }
+
+    await updatePostStatus(post.id, post.status, { lastOccurrenceAt: now.toISOString() });
+}
+
+// Occurrences between the last handled one and now, oldest first
+function getMissedOccurrences(post, now) {
+    // Events published ahead have already handled occurrences later than lastOccurrenceAt
+    const since = Math.max(
+        ...[post.lastOccurrenceAt, post.publishedThrough, post.updatedAt, post.createdAt]
+            .filter(Boolean)
+            .map(d => new Date(d).getTime())
+    );
+    if (!Number.isFinite(since)) return [];
+
+    // Skip dates are included so they are recorded as skipped rather than vanishing
+    return getOccurrencesBetween(post, new Date(since), now, { includeExcluded: true }).slice(-MAX_MISSED_OCCURRENCES);
+}
+
+function createHistoryEntry(post, status, extra = {}) {
+    // History entries don't carry the parent's scheduling bookkeeping
+    const { lastOccurrenceAt: _lastOccurrenceAt, publishedThrough: _publishedThrough, catchUp: _catchUp, ...rest } = post;
+    return {
+        ...rest,
+        id: crypto.randomUUID(), // New ID for history
+        parentId: post.id,
+        recurrence: null, // History is not recurring
+        status,
+        scheduledAt: new Date().toISOString(), // Actual execution time
+        createdAt: new Date().toISOString(),
+        ...extra
+    };
+}
+
 function schedulePostJob(post) {
     const date = new Date(post.scheduledAt);
 
     // Only check past date for non-recurring posts
     if (!post.recurrence && date < new Date()) {
         console.log(`Post ${post.id} is in the past. Marking as failed/missed.`);
-        updatePostStatus(post.id, 'missed', { error: 'Scheduled time passed while app was closed' });
+        updatePostStatus(post.id, 'missed', { error: MISSED_ERROR });
         return;
     }
 
-    let rule = date;
     if (post.recurrence) {
-        rule = new schedule.RecurrenceRule();
-        rule.hour = date.getHours();
-        rule.minute = date.getMinutes();
+        scheduleRecurringJob(post);
+        return;
+    }
 
-        // Default to seconds = 0 to avoid multiple firings if not specified
-        rule.second = 0;
+    const fireAt = getPublishTime(post, date);
+    const job = schedule.scheduleJob(fireAt, () => executePost(post));
 
-        if (post.recurrence.type === 'daily') {
-            // Runs every day at HH:MM
-        } else if (post.recurrence.type === 'weekly') {
-            // days is array of 0-6
-            rule.dayOfWeek = post.recurrence.days;
-        } else if (post.recurrence.type === 'monthly') {
-            rule.date = date.getDate();
-        }
-        console.log(`Scheduling recurring post ${post.id} with rule:`, JSON.stringify(rule));
+    jobs.set(post.id, job);
+    console.log(`Scheduled post ${post.id} for ${fireAt.toISOString()}`);
+}
+
+/**
+ * Calendar events are published `event.publishLeadMinutes` before they start.
+ * A lead that has already passed publishes right away, as long as the event is still ahead.
+ */
+function getPublishTime(post, occurrence) {
+    const leadMs = post.kind === 'event' ? (post.event?.publishLeadMinutes || 0) * 60000 : 0;
+    if (!leadMs) return occurrence;
+    return new Date(Math.max(occurrence.getTime() - leadMs, Date.now() + 1000));
+}
+
+// Recurring posts are scheduled one occurrence at a time from their RRULE
+function scheduleRecurringJob(post, after = null) {
+    // Skip occurrences that were already published ahead before a restart or edit.
+    // Skip dates still get a job, so the skip shows up in the history.
+    const next = getNextOccurrence(post, after || new Date(Math.max(
+        Date.now(), new Date(post.publishedThrough || 0).getTime()
+    )), { includeExcluded: true });
+    if (!next) {
+        console.log(`Recurring post ${post.id} has no further occurrences. Marking as completed.`);
+        jobs.delete(post.id);
+        updatePostStatus(post.id, 'completed');
+        return;
     }
 
-    const job = schedule.scheduleJob(rule, async () => {
-        console.log(`Executing scheduled post: ${post.title}`);
+    const job = schedule.scheduleJob(getPublishTime(post, next), async () => {
         try {
-            await createGroupPost(post.groupId, {
-                title: post.title,
-                text: post.text,
-                imageId: post.imageId || undefined,
-                sendNotification: post.sendNotification || false,
-                visibility: post.visibility || 'public'
-            });
-
-            if (post.recurrence) {
-                // For recurring posts, create a history entry
-                console.log(`Recurring post ${post.id} executed. Creating history entry.`);
-                await addPost({
-                    ...post,
-                    id: crypto.randomUUID(), // New ID for history
-                    parentId: post.id,
-                    recurrence: null, // History is not recurring
-                    status: 'posted',
-                    scheduledAt: new Date().toISOString(), // Actual execution time
-                    createdAt: new Date().toISOString()
-                }, true); // true = skip schedule
-            } else {
-                // Normal post
-                await updatePostStatus(post.id, 'posted');
-            }
-            console.log(`Post success.`);
+            await executePost(post, next);
         } catch (err) {
-            console.error(`Post failed:`, err);
-            if (post.recurrence) {
-                await addPost({
-                    ...post,
-                    id: crypto.randomUUID(),
-                    parentId: post.id,
-                    recurrence: null,
-                    status: 'failed',
-                    error: err.message,
-                    scheduledAt: new Date().toISOString(),
-                    createdAt: new Date().toISOString()
-                }, true);
-            } else {
-                await updatePostStatus(post.id, 'failed', { error: err.message });
+            // Bookkeeping failed (e.g. a storage write); the next occurrence must still be scheduled
+            console.error(`Recurring post ${post.id} failed outside posting:`, err);
+        } finally {
+            // Deleted, paused or edited while posting: the job was cancelled or replaced
+            if (jobs.get(post.id) === job) {
+                scheduleRecurringJob(post, next);
             }
         }
     });
 
     jobs.set(post.id, job);
-    if (!post.recurrence) {
-        console.log(`Scheduled post ${post.id} for ${date.toISOString()}`);
+    console.log(`Scheduled recurring post ${post.id} (${post.recurrence.rrule}) for ${next.toISOString()}`);
+}
+
+/**
+ * @param {Date} occurrenceAt - Occurrence being posted; one-off posts and history entries use their own
+ */
+async function executePost(post, occurrenceAt = null) {
+    console.log(`Executing scheduled ${post.kind === 'event' ? 'event' : 'post'}: ${post.title}`);
+    const occurrence = occurrenceAt || new Date(post.occurrenceAt || post.scheduledAt);
+    const broadcast = getTargetGroupIds(post).length > 1;
+    const groupResults = { ...(post.groupResults || {}) };
+    let content = { title: post.title, text: post.text };
+
+    // Recurring occurrences give way to skip dates, blackouts and the groups' quiet hours,
+    // all judged by when the occurrence was scheduled, however late it runs
+    if (post.recurrence) {
+        const settings = await getSchedulerSettings();
+        const quiet = getTargetGroupIds(post).filter(id => isInQuietHours(settings.quietHours[id], occurrence));
+        quiet.forEach(id => {
+            groupResults[id] = { status: 'skipped', reason: QUIET_HOURS_REASON };
+        });
+        const skipReason = getSkipReason(post, occurrence, settings) ||
+            (quiet.length === getTargetGroupIds(post).length ? QUIET_HOURS_REASON : null);
+        if (skipReason) {
+            await recordSkip(post, occurrence, skipReason);
+            return;
+        }
+    }
+
+    try {
+        if (post.imagePath && !post.imageId) {
+            await uploadPostImage(post);
+        }
+
+        // Groups that already have the post (earlier attempts of a broadcast) or are in quiet hours are left out
+        const targets = getTargetGroupIds(post).filter(id => !['posted', 'skipped'].includes(groupResults[id]?.status));
+        let failure = null;
+        for (const [index, groupId] of targets.entries()) {
+            if (index > 0) await staggerBroadcast();
+            try {
+                content = await renderPostContent(post, occurrence, { groupId });
+                const created = await publishToGroup(post, groupId, content, occurrence);
+                groupResults[groupId] = { status: 'posted', postedAt: new Date().toISOString(), remoteId: created?.id };
+            } catch (err) {
+                // Single-group posts, and sessions no other group could use either, fail as a whole
+                if (!broadcast || err.sessionExpired) throw err;
+                console.error(`Post to group ${groupId} failed:`, err);
+                groupResults[groupId] = { status: 'failed', error: err.message, errorKind: err.kind || 'unknown' };
+                // A retryable error is reported so the failed groups get retried automatically
+                if (!failure || (!failure.retryable && err.retryable)) failure = err;
+            }
+        }
+        if (failure) throw failure;
+
+        const results = {
+            ...(broadcast ? { groupResults } : { remoteId: groupResults[post.groupId]?.remoteId }),
+            ...getExpiry(post),
+            occurrenceAt: occurrence.toISOString()
+        };
+        let record;
+        if (post.recurrence) {
+            // For recurring posts, create a history entry
+            console.log(`Recurring post ${post.id} executed. Creating history entry.`);
+            record = await addPost(createHistoryEntry({ ...post, ...content }, 'posted', results), true); // true = skip schedule
+        } else {
+            // Normal post (undefined clears leftovers from earlier attempts)
+            record = { ...post, ...results };
+            await updatePostStatus(post.id, 'posted', { error: undefined, nextRetryAt: undefined, ...results });
+        }
+        if (record.expiresAt) scheduleExpiry(record);
+        console.log(`Post success.`);
+    } catch (err) {
+        console.error(`Post failed:`, err);
+        const results = { ...(broadcast ? { groupResults } : {}), occurrenceAt: occurrence.toISOString() };
+        if (err.sessionExpired) {
+            await holdForAuth({ ...post, ...results }, content, err);
+        } else {
+            // Retries of a recurring occurrence run against its history entry, with the text already rendered
+            const record = post.recurrence
+                ? await addPost(createHistoryEntry({ ...post, ...content }, 'failed', { error: err.message, ...results }), true)
+                : { ...post, ...results };
+            await recordFailure(record, err);
+        }
+    }
+
+    if (post.recurrence) {
+        await markOccurrenceHandled(post.id, occurrence);
     }
 }
 
-async function updatePostStatus(id, status, extra = {}) {
+// The status is left alone: the post may have been paused or deleted while it was posting
+async function markOccurrenceHandled(id, occurrence) {
+    await updatePosts(posts => posts.map(p => p.id === id ? {
+        ...p,
+        lastOccurrenceAt: new Date().toISOString(),
+        publishedThrough: occurrence.toISOString(),
+        updatedAt: new Date().toISOString()
+    } : p));
+}
+
+function getSkipReason(post, occurrence, settings) {
+    if (isExcludedOccurrence(post, occurrence)) return SKIP_DATE_REASON;
+    const blackout = findBlackout(settings.blackouts, occurrence, post.timeZone || 'local');
+    return blackout ? `Blackout: ${describeBlackout(blackout)}` : null;
+}
+
+async function recordSkip(post, occurrence, skipReason) {
+    console.log(`Recurring post ${post.id} skipped ${occurrence.toISOString()}: ${skipReason}`);
+    await addPost(createHistoryEntry(post, 'skipped', {
+        skipReason,
+        scheduledAt: occurrence.toISOString(),
+        occurrenceAt: occurrence.toISOString()
+    }), true);
+    await markOccurrenceHandled(post.id, occurrence);
+}
+
+// Only posts expire; calendar events end on their own
+function getExpiry(post) {
+    if (post.kind === 'event' || !(post.expireAfterMinutes > 0)) return {};
+    return { expiresAt: new Date(Date.now() + post.expireAfterMinutes * 60000).toISOString() };
+}
+
+function scheduleExpiry(post, at = new Date(post.expiresAt)) {
+    expiryJobs.get(post.id)?.cancel();
+    const runAt = new Date(Math.max(at.getTime(), Date.now() + 1000));
+    expiryJobs.set(post.id, schedule.scheduleJob(runAt, () => expireRemotePost(post.id)));
+    console.log(`Scheduled removal of post ${post.id} from VRChat for ${runAt.toISOString()}`);
+}
+
+/**
+ * Delete an expired post from every group it went to. Posts already removed by hand count as done;
+ * retryable failures are tried again later, others wait for the next startup.
+ */
+async function expireRemotePost(id) {
+    expiryJobs.delete(id);
+    const post = (await readJson(POSTS_FILE, [])).find(p => p.id === id);
+    if (!post?.expiresAt || post.expiredAt) return;
+
+    const targets = post.groupResults
+        ? Object.entries(post.groupResults).map(([groupId, result]) => ({ groupId, remoteId: result.remoteId }))
+        : [{ groupId: post.groupId, remoteId: post.remoteId }];
+    let changes;
+    try {
+        for (const { groupId, remoteId } of targets.filter(t => t.remoteId)) {
+            await deleteGroupPost(groupId, remoteId, post.accountId);
+        }
+        changes = { expiredAt: new Date().toISOString(), expiryError: undefined };
+        console.log(`Post ${id} removed from VRChat.`);
+    } catch (err) {
+        console.error(`Removing post ${id} from VRChat failed:`, err);
+        changes = { expiryError: err.message };
+        if (err.retryable) scheduleExpiry(post, new Date(Date.now() + EXPIRY_RETRY_DELAY_MS));
+    }
+    await updatePosts(posts => posts.map(p => p.id === id ? { ...p, ...changes } : p));
+}
+
+// Posts go to the group's feed, events to its calendar
+async function publishToGroup(post, groupId, content, occurrence) {
+    // Role IDs only exist in the post's own group
+    const roleIds = groupId === post.groupId && post.roleIds?.length ? post.roleIds : undefined;
+    if (post.kind === 'event') {
+        const durationMs = (post.event?.durationMinutes || 60) * 60000;
+        return createGroupEvent(groupId, {
+            title: content.title,
+            description: content.text,
+            startsAt: occurrence.toISOString(),
+            endsAt: new Date(occurrence.getTime() + durationMs).toISOString(),
+            category: post.event?.category || 'other',
+            accessType: post.visibility || 'public',
+            imageId: post.imageId || undefined,
+            sendCreationNotification: post.sendNotification || false,
+            roleIds
+        }, post.accountId);
+    }
+    return createGroupPost(groupId, {
+        title: content.title,
+        text: content.text,
+        imageId: post.imageId || undefined,
+        sendNotification: post.sendNotification || false,
+        visibility: post.visibility || 'public',
+        roleIds
+    }, post.accountId);
+}
+
+// Posts without a group list target their single groupId
+function getTargetGroupIds(post) {
+    return post.groupIds?.length ? post.groupIds : [post.groupId];
+}
+
+async function staggerBroadcast() {
+    const { broadcastStaggerSeconds } = await getSchedulerSettings();
+    await new Promise(resolve => setTimeout(resolve, broadcastStaggerSeconds * 1000));
+}
+
+/**
+ * Expand template placeholders in title and text for one occurrence
+ * @param {Object} options - { groupId } of a broadcast target; { groupName } skips the group lookup (used by previews)
+ */
+async function renderPostContent(post, occurrenceAt, { groupId = post.groupId, groupName } = {}) {
+    const content = { title: post.title, text: post.text };
+    if (!hasPlaceholders(post.title) && !hasPlaceholders(post.text)) return content;
+
+    const settings = await getSchedulerSettings();
     const posts = await readJson(POSTS_FILE, []);
-    const index = posts.findIndex(p => p.id === id);
-    if (index !== -1) {
-        posts[index] = { ...posts[index], status, ...extra, updatedAt: new Date().toISOString() };
-        await writeJson(POSTS_FILE, posts);
+    // History entries point at their recurring parent; count what that parent already posted
+    const rootId = post.parentId || post.id;
+    const previous = rootId ? posts.filter(p => p.parentId === rootId && p.status === 'posted').length : 0;
+
+    const needsGroup = [post.title, post.text].some(t => t?.includes('{group.name}'));
+    if (needsGroup && !groupName) {
+        groupName = (await getGroup(groupId, post.accountId)).name;
     }
+
+    const variables = buildTemplateVariables({
+        date: occurrenceAt,
+        timeZone: post.timeZone,
+        locale: settings.templateLocale,
+        occurrence: previous + 1,
+        groupName
+    });
+    return {
+        title: renderTemplate(post.title, variables),
+        text: renderTemplate(post.text, variables)
+    };
 }
 
-// Added skipSchedule param
-export async function addPost(postData, skipSchedule = false) {
+/**
+ * Render a draft the way its next occurrence will be posted, for the form preview
+ */
+export async function previewPost(draft, groupName) {
+    const occurrenceAt = draft.recurrence
+        ? getNextOccurrence(draft, new Date()) || new Date(draft.scheduledAt)
+        : new Date(draft.scheduledAt);
+    const content = await renderPostContent(draft, occurrenceAt, { groupName: groupName || draft.groupId });
+    return { ...content, occurrenceAt: occurrenceAt.toISOString() };
+}
+
+/**
+ * The next `count` times a draft would fire, for the form. Events also say when they start,
+ * since they are published ahead of that.
+ * @returns {Array} [{ fireAt, occurrenceAt }]
+ */
+export function previewOccurrences(draft, count = 5) {
+    const occurrences = [];
+    if (!draft.recurrence) {
+        const at = new Date(draft.scheduledAt);
+        if (at > new Date()) occurrences.push(at);
+    } else {
+        let after = new Date();
+        while (occurrences.length < count) {
+            const next = getNextOccurrence(draft, after);
+            if (!next) break;
+            occurrences.push(next);
+            after = next;
+        }
+    }
+    return occurrences.map(at => ({
+        fireAt: getPublishTime(draft, at).toISOString(),
+        occurrenceAt: at.toISOString()
+    }));
+}
+
+/**
+ * When each scheduled job fires next, straight from node-schedule
+ * @returns {Object} post ID -> ISO time
+ */
+export function getNextRuns() {
+    const runs = {};
+    for (const [id, job] of jobs) {
+        const next = job.nextInvocation();
+        if (next) runs[id] = new Date(next.getTime()).toISOString();
+    }
+    return runs;
+}
+
+// Deferred uploads happen once; later runs and retries reuse the file ID
+async function uploadPostImage(post) {
+    console.log(`Uploading image for post ${post.id}: ${post.imagePath}`);
+    const imageId = await uploadImage(post.imagePath, post.accountId);
+    post.imageId = imageId;
+    // Only the image ID: the post may have been paused or trashed during the upload
+    await updatePosts(posts => posts.map(p => p.id === post.id ? { ...p, imageId } : p));
+}
+
+async function recordFailure(record, err) {
+    const settings = await getSchedulerSettings();
+    const kind = err.kind || 'unknown';
+    const attempts = [
+        ...(record.attempts || []),
+        { at: new Date().toISOString(), kind, error: err.message }
+    ];
+
+    if (err.retryable && attempts.length <= settings.retryLimit) {
+        const nextRetryAt = new Date(Date.now() + getRetryDelay(attempts.length, err, settings));
+        console.log(`Retrying post ${record.id} (${attempts.length}/${settings.retryLimit}) at ${nextRetryAt.toISOString()}`);
+        await updatePostStatus(record.id, 'retrying', {
+            error: err.message,
+            errorKind: kind,
+            attempts,
+            retryLimit: settings.retryLimit,
+            nextRetryAt: nextRetryAt.toISOString(),
+            groupResults: record.groupResults
+        });
+        scheduleRetry({ ...record, attempts }, nextRetryAt);
+        return;
+    }
+
+    await updatePostStatus(record.id, 'failed', {
+        error: err.message,
+        errorKind: kind,
+        attempts,
+        nextRetryAt: undefined,
+        groupResults: record.groupResults
+    });
+}
+
+/**
+ * Post a broadcast again to the groups that failed, now; groups that have it already are skipped
+ */
+export async function retryFailedGroups(id) {
+    const posts = await readJson(POSTS_FILE, []);
+    const post = posts.find(p => p.id === id);
+    const failed = Object.values(post?.groupResults || {}).filter(r => r.status === 'failed');
+    if (!post || failed.length === 0) {
+        throw new Error('No failed groups to retry');
+    }
+    if (post.status === 'pending' || post.status === 'retrying') {
+        cancelJob(id);
+    }
+
+    // A manual retry starts a fresh attempt count
+    await updatePostStatus(id, 'retrying', { attempts: undefined, nextRetryAt: undefined });
+    await executePost({ ...post, attempts: undefined });
+    return (await readJson(POSTS_FILE, [])).find(p => p.id === id);
+}
+
+// Where a record keeps what happened to its copy on a group: per group for broadcasts
+function getRemoteRef(post, groupId) {
+    if (post.kind === 'event') return null;
+    if (post.groupResults) return post.groupResults[groupId]?.remoteId ? post.groupResults[groupId] : null;
+    return post.groupId === groupId && post.remoteId ? post : null;
+}
+
+function withRemoteFields(post, groupId, fields) {
+    if (!post.groupResults) return { ...post, ...fields };
+    return { ...post, groupResults: { ...post.groupResults, [groupId]: { ...post.groupResults[groupId], ...fields } } };
+}
+
+/**
+ * A group's posts as they are on VRChat now, each matched to the local record that created it.
+ * Local posts whose copy has disappeared (deleted by someone else) are flagged with remoteMissingAt.
+ * @returns {Object} { posts: [{ ...remotePost, localId }], missing: [local posts] }
+ */
+export async function getLivePosts(groupId, accountId = null) {
+    const remote = [];
+    let complete = false;
+    for (let page = 0; page < LIVE_POSTS_MAX_PAGES && !complete; page++) {
+        const batch = await getGroupPosts(groupId, { n: LIVE_POSTS_PAGE_SIZE, offset: page * LIVE_POSTS_PAGE_SIZE }, accountId);
+        remote.push(...batch);
+        complete = batch.length < LIVE_POSTS_PAGE_SIZE;
+    }
+    const remoteIds = new Set(remote.map(p => p.id));
+    // Past the pages fetched nothing can be told apart from missing, so only newer posts are judged
+    const oldest = complete ? -Infinity : Math.min(...remote.map(p => new Date(p.createdAt).getTime()));
+
+    const localIds = new Map();
+    const missing = [];
+    const now = new Date().toISOString();
+    await updatePosts(posts => posts.map(post => {
+        const ref = getRemoteRef(post, groupId);
+        if (!ref || post.expiredAt || ref.remoteDeletedAt) return post;
+
+        if (remoteIds.has(ref.remoteId)) {
+            localIds.set(ref.remoteId, post.id);
+            return ref.remoteMissingAt ? withRemoteFields(post, groupId, { remoteMissingAt: undefined }) : post;
+        }
+        const postedAt = new Date(ref.postedAt || post.occurrenceAt || post.scheduledAt).getTime();
+        if (postedAt < oldest) return post;
+
+        const flagged = ref.remoteMissingAt ? post : withRemoteFields(post, groupId, { remoteMissingAt: now });
+        missing.push(flagged);
+        return flagged;
+    }));
+
+    return {
+        posts: remote.map(p => ({ ...p, localId: localIds.get(p.id) || null })),
+        missing
+    };
+}
+
+/**
+ * Delete a post from a group, whoever made it; a local record that created it is marked as removed
+ */
+export async function deleteLivePost(groupId, postId, accountId = null) {
+    await deleteGroupPost(groupId, postId, accountId);
+    const now = new Date().toISOString();
+    await updatePosts(posts => posts.map(post =>
+        getRemoteRef(post, groupId)?.remoteId === postId
+            ? withRemoteFields(post, groupId, { remoteDeletedAt: now, remoteMissingAt: undefined })
+            : post
+    ));
+}
+
+// An expired session is not the post's fault: keep it until the account logs in again
+async function holdForAuth(post, content, err) {
+    const extra = {
+        error: err.message,
+        errorKind: err.kind,
+        heldAt: new Date().toISOString(),
+        nextRetryAt: undefined,
+        groupResults: post.groupResults
+    };
+    if (post.recurrence) {
+        await addPost(createHistoryEntry({ ...post, ...content }, 'waiting-auth', extra), true);
+    } else {
+        await updatePostStatus(post.id, 'waiting-auth', extra);
+    }
+    console.log(`Post ${post.id} is waiting for account ${post.accountId || '(active)'} to log in again.`);
+}
+
+/**
+ * Send or offer for rescheduling the posts held while an account's session was expired.
+ * Only the "grace" policy sends them, within its period; every other held post waits
+ * in the missed list for a decision, whatever the policy.
+ */
+export async function releaseHeldPosts(accountId) {
     const posts = await readJson(POSTS_FILE, []);
+    const held = posts.filter(p => p.status === 'waiting-auth' && (!p.accountId || p.accountId === accountId));
+    if (held.length === 0) return 0;
+
+    const settings = await getSchedulerSettings();
+    const now = new Date();
+    console.log(`Releasing ${held.length} post(s) held for account ${accountId}.`);
 
+    for (const post of held) {
+        const catchUp = resolveCatchUp(post, settings);
+        // Held occurrences of recurring posts are due when the occurrence was, not when they were held
+        if (isWithinGrace(catchUp, new Date(post.occurrenceAt || post.scheduledAt), now)) {
+            await updatePostStatus(post.id, 'pending', { error: undefined, errorKind: undefined, heldAt: undefined });
+            await executePost({ ...post, status: 'pending' });
+        } else {
+            await updatePostStatus(post.id, 'missed', {
+                error: HELD_TOO_LONG_ERROR,
+                errorKind: undefined,
+                heldAt: undefined,
+                awaitingDecision: true
+            });
+        }
+    }
+    return held.length;
+}
+
+// Exponential backoff, never sooner than the server's Retry-After
+function getRetryDelay(attempt, err, settings) {
+    const backoff = Math.min(settings.retryBaseDelaySeconds * 1000 * 2 ** (attempt - 1), MAX_RETRY_DELAY_MS);
+    return Math.max(backoff, err.retryAfterMs || 0);
+}
+
+function scheduleRetry(record, at) {
+    const job = schedule.scheduleJob(at, () => executePost(record));
+    jobs.set(record.id, job);
+}
+
+// All writes to posts.json go through here
+async function updatePosts(update) {
+    const posts = await updateJson(POSTS_FILE, [], update);
+    postEvents.emit('change');
+    return posts;
+}
+
+async function updatePostStatus(id, status, extra = {}) {
+    await updatePosts(posts => posts.map(p =>
+        p.id === id ? { ...p, status, ...extra, updatedAt: new Date().toISOString() } : p
+    ));
+}
+
+// Added skipSchedule param
+export async function addPost(postData, skipSchedule = false) {
     const newPost = {
         id: crypto.randomUUID(),
         status: 'pending',
@@ -124,8 +743,7 @@ export async function addPost(postData, skipSchedule = false) {
         ...postData
     };
 
-    posts.push(newPost);
-    await writeJson(POSTS_FILE, posts);
+    await updatePosts(posts => [...posts, newPost]);
 
     if (!skipSchedule) {
         schedulePostJob(newPost);
@@ -133,31 +751,265 @@ export async function addPost(postData, skipSchedule = false) {
     return newPost;
 }
 
-export async function deletePost(id, force = false) {
+function cancelJob(id) {
     if (jobs.has(id)) {
         jobs.get(id).cancel();
         jobs.delete(id);
         console.log(`Job for post ${id} cancelled.`);
     }
+}
 
-    let posts = await readJson(POSTS_FILE, []);
+export async function updatePost(id, changes) {
+    // id, parentId and createdAt are kept so history entries stay linked
+    const { id: _id, parentId: _parentId, createdAt: _createdAt, ...patch } = changes;
+    let updated;
+
+    await updatePosts(posts => {
+        const index = posts.findIndex(p => p.id === id);
+        if (index === -1) {
+            throw new Error('Post not found');
+        }
+
+        updated = {
+            ...posts[index],
+            ...patch,
+            updatedAt: new Date().toISOString()
+        };
+        // Clear the previous outcome when the post goes back into the queue
+        if (updated.status === 'pending' || updated.status === 'recurring') {
+            delete updated.error;
+            delete updated.errorKind;
+            delete updated.attempts;
+            delete updated.nextRetryAt;
+            delete updated.groupResults;
+            delete updated.remoteId;
+            delete updated.expiresAt;
+            delete updated.expiredAt;
+            delete updated.expiryError;
+            delete updated.pausedAt;
+        }
+
+        posts[index] = updated;
+        return posts;
+    });
+
+    // The job closure holds the old record, so always rebuild it
+    cancelJob(id);
+    if (updated.status === 'pending' || updated.status === 'recurring') {
+        schedulePostJob(updated);
+    }
+    console.log(`Post ${id} updated.`);
+    return updated;
+}
+
+export async function deletePost(id, force = false) {
+    cancelJob(id);
+
+    await updatePosts(posts => {
+        if (force) {
+            console.log(`Post ${id} permanently deleted.`);
+            return posts.filter(p => p.id !== id);
+        }
 
-    if (force) {
-        posts = posts.filter(p => p.id !== id);
-        console.log(`Post ${id} permanently deleted.`);
-    } else {
         const index = posts.findIndex(p => p.id === id);
-        if (index !== -1) {
+        if (index !== -1 && posts[index].status !== 'deleted') {
+            // The previous status is what a restore puts back
             posts[index] = {
                 ...posts[index],
                 status: 'deleted',
+                previousStatus: posts[index].status,
+                deletedAt: new Date().toISOString(),
                 updatedAt: new Date().toISOString()
             };
             console.log(`Post ${id} moved to trash.`);
         }
+        return posts;
+    });
+}
+
+/**
+ * Take a post out of the trash with its ID and history link intact.
+ * Queued posts are rescheduled; one-off posts whose time has passed come back as missed.
+ */
+export async function restorePost(id) {
+    let restored;
+
+    await updatePosts(posts => {
+        const index = posts.findIndex(p => p.id === id);
+        if (index === -1 || posts[index].status !== 'deleted') {
+            throw new Error('Post is not in the trash');
+        }
+
+        const { previousStatus, deletedAt: _deletedAt, ...post } = posts[index];
+        // Posts trashed before the previous status was kept go back to the queue
+        const status = previousStatus || (post.recurrence ? 'recurring' : 'pending');
+        const late = status === 'pending' && !post.recurrence && new Date(post.scheduledAt) < new Date();
+        restored = {
+            ...post,
+            status: late ? 'missed' : status,
+            ...(late ? { error: RESTORED_LATE_ERROR } : {}),
+            updatedAt: new Date().toISOString()
+        };
+        posts[index] = restored;
+        return posts;
+    });
+
+    if (restored.status === 'pending' || restored.status === 'recurring') {
+        schedulePostJob(restored);
+    } else if (restored.status === 'retrying') {
+        const retryAt = Math.max(new Date(restored.nextRetryAt).getTime() || 0, Date.now() + 5000);
+        scheduleRetry(restored, new Date(retryAt));
+    }
+    console.log(`Post ${id} restored as ${restored.status}.`);
+    return restored;
+}
+
+/**
+ * Remove trashed posts and finished history entries older than the retention period
+ * @returns {number} how many records were purged
+ */
+export async function purgeOldPosts(settings = null) {
+    const { retentionDays } = settings || await getSchedulerSettings();
+    if (!(retentionDays > 0)) return 0;
+
+    const cutoff = Date.now() - retentionDays * DAY_MS;
+    const isOld = (date) => new Date(date).getTime() < cutoff;
+    // Records still waiting on an auto-delete or a decision are kept until that's settled
+    const isSettled = (p) => !(p.expiresAt && !p.expiredAt) && !p.awaitingDecision;
+    let purged = 0;
+
+    await updatePosts(posts => {
+        const kept = posts.filter(p => {
+            const trashed = p.status === 'deleted' && isOld(p.deletedAt || p.updatedAt || p.createdAt);
+            const history = p.parentId && FINAL_HISTORY_STATUSES.includes(p.status) && isOld(p.createdAt);
+            return !((trashed || history) && isSettled(p));
+        });
+        purged = posts.length - kept.length;
+        return kept;
+    });
+
+    if (purged > 0) console.log(`Purged ${purged} old trashed post(s) and history entries.`);
+    return purged;
+}
+
+// Once a day, so a long-running app doesn't wait for a restart
+function schedulePurge() {
+    if (purgeJob) purgeJob.cancel();
+    purgeJob = schedule.scheduleJob({ hour: 4, minute: 0 }, () => {
+        purgeOldPosts().catch(err => console.error('Failed to purge old posts:', err));
+    });
+}
+
+/**
+ * Stop a recurring post's job; its history entries stay as they are
+ */
+export async function pausePost(id) {
+    const post = (await readJson(POSTS_FILE, [])).find(p => p.id === id);
+    if (!post || post.status !== 'recurring') {
+        throw new Error('Only recurring posts can be paused');
+    }
+
+    cancelJob(id);
+    const pausedAt = new Date().toISOString();
+    await updatePostStatus(id, 'paused', { pausedAt });
+    console.log(`Recurring post ${id} paused.`);
+    return { ...post, status: 'paused', pausedAt };
+}
+
+/**
+ * Put a paused post back on its schedule
+ * @param {boolean} catchUp - Post the latest occurrence missed while paused, once
+ * @returns {Object} { post, missed, caughtUp } - missed: occurrences that passed while paused
+ */
+export async function resumePost(id, { catchUp = false } = {}) {
+    const post = (await readJson(POSTS_FILE, [])).find(p => p.id === id);
+    if (!post || post.status !== 'paused') {
+        throw new Error('Post is not paused');
+    }
+
+    const now = new Date();
+    // Events published ahead before the pause already cover their occurrences
+    const since = Math.max(new Date(post.pausedAt || now).getTime(), new Date(post.publishedThrough || 0).getTime());
+    const missed = getOccurrencesBetween(post, new Date(since), now);
+    const caughtUp = catchUp && missed.length > 0;
+    if (caughtUp) {
+        console.log(`Recurring post ${id} missed ${missed.length} occurrence(s) while paused. Posting the latest.`);
+        await executePost({ ...post, status: 'recurring' }, missed[missed.length - 1]);
+    }
+
+    // lastOccurrenceAt keeps the rest from being caught up again on the next startup
+    const updated = await updatePost(id, {
+        status: 'recurring',
+        lastOccurrenceAt: now.toISOString()
+    });
+    console.log(`Recurring post ${id} resumed.`);
+    return { post: updated, missed: missed.length, caughtUp };
+}
+
+/**
+ * Hand every post of one account profile to another, e.g. from a migrated profile
+ * whose VRChat account is unknown. Queued posts are rescheduled to post as the new account.
+ * @returns {number} how many posts were moved
+ */
+export async function reassignPosts(fromAccountId, toAccountId) {
+    const moved = [];
+    await updatePosts(posts => posts.map(p => {
+        if (p.accountId !== fromAccountId) return p;
+        const updated = { ...p, accountId: toAccountId, updatedAt: new Date().toISOString() };
+        moved.push(updated);
+        return updated;
+    }));
+
+    // The job closures hold the old account
+    for (const post of moved) {
+        if (post.status === 'pending' || post.status === 'recurring') {
+            cancelJob(post.id);
+            schedulePostJob(post);
+        } else if (post.status === 'retrying') {
+            cancelJob(post.id);
+            scheduleRetry(post, new Date(Math.max(new Date(post.nextRetryAt).getTime() || 0, Date.now() + 5000)));
+        }
+    }
+    console.log(`Moved ${moved.length} post(s) from account ${fromAccountId} to ${toAccountId}.`);
+    return moved.length;
+}
+
+export async function getMissedPosts() {
+    const posts = await readJson(POSTS_FILE, []);
+    return posts.filter(p => p.status === 'missed' && p.awaitingDecision);
+}
+
+/**
+ * Resolve a missed post or recurring occurrence held for the user's decision
+ * @param {string} action - 'fire', 'reschedule' or 'dismiss'
+ */
+export async function resolveMissedPost(id, action, scheduledAt = null) {
+    const posts = await readJson(POSTS_FILE, []);
+    const post = posts.find(p => p.id === id);
+    if (!post || post.status !== 'missed') {
+        throw new Error('Missed post not found');
     }
 
-    await writeJson(POSTS_FILE, posts);
+    if (action === 'reschedule') {
+        if (!scheduledAt || new Date(scheduledAt) < new Date()) {
+            throw new Error('New time must be in the future');
+        }
+        return await updatePost(id, { scheduledAt, status: 'pending', awaitingDecision: false });
+    }
+
+    if (action !== 'fire' && action !== 'dismiss') {
+        throw new Error(`Unknown action: ${action}`);
+    }
+
+    // undefined drops the stale error when the file is written
+    await updatePostStatus(id, 'missed', {
+        awaitingDecision: false,
+        error: action === 'fire' ? undefined : post.error
+    });
+    if (action === 'fire') {
+        await executePost({ ...post, awaitingDecision: false });
+    }
+    return true;
 }
 
 export async function getPosts(includeDeleted = false, statusFilter = null) {
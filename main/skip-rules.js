@@ -0,0 +1,42 @@
+import { DateTime } from 'luxon';
+
+// Rules that stop a recurring post from going out without touching its schedule:
+// blackout ranges for every post, quiet hours per group.
+
+/**
+ * Blackout matching an occurrence's date in `zone`, or null.
+ * Ranges are inclusive; "MM-DD" repeats every year (and may wrap, e.g. 12-29 to 01-03),
+ * "YYYY-MM-DD" is a single range.
+ * @param {Array} blackouts - [{ from, to, label }]
+ */
+export function findBlackout(blackouts = [], date, zone = 'local') {
+    const day = DateTime.fromJSDate(date, { zone });
+    const monthDay = day.toFormat('MM-dd');
+    const isoDay = day.toISODate();
+
+    return blackouts.find(({ from, to }) => {
+        if (!from || !to) return false;
+        if (from.length === 10) return isoDay >= from && isoDay <= to;
+        return from <= to
+            ? monthDay >= from && monthDay <= to
+            : monthDay >= from || monthDay <= to;
+    }) || null;
+}
+
+/**
+ * Whether `date` falls in a group's quiet hours ({ start: 'HH:mm', end: 'HH:mm', timeZone }).
+ * An end before the start spans midnight.
+ */
+export function isInQuietHours(quietHours, date) {
+    if (!quietHours?.start || !quietHours?.end || quietHours.start === quietHours.end) return false;
+    const time = DateTime.fromJSDate(date, { zone: quietHours.timeZone || 'local' }).toFormat('HH:mm');
+    const { start, end } = quietHours;
+    return start < end
+        ? time >= start && time < end
+        : time >= start || time < end;
+}
+
+export function describeBlackout(blackout) {
+    const range = `${blackout.from}–${blackout.to}`;
+    return blackout.label ? `${blackout.label} (${range})` : range;
+}
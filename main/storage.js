@@ -2,6 +2,15 @@ import fs from 'fs/promises';
 import path from 'path';
 import { app, safeStorage } from 'electron';
 
+// Previous versions kept next to each file: name.json.bak (newest), name.json.bak.1, ...
+const BACKUP_GENERATIONS = 3;
+
+// Schema version of the whole data directory, advanced by migrateData()
+const SCHEMA_FILE = 'schema.json';
+
+// Reads and writes of the same file run one at a time, in call order
+const fileQueues = new Map();
+
 function getDataDir() {
     return path.join(app.getPath('userData'), 'data');
 }
@@ -15,18 +24,79 @@ async function ensureDataDir() {
     }
 }
 
-export async function readJson(filename, defaultValue = null, options = { encrypted: false }) {
+function withFileLock(filename, task) {
+    const previous = fileQueues.get(filename) || Promise.resolve();
+    const run = previous.then(task);
+    const tail = run.catch(() => {});
+    fileQueues.set(filename, tail);
+    tail.then(() => {
+        if (fileQueues.get(filename) === tail) fileQueues.delete(filename);
+    });
+    return run;
+}
+
+function backupPath(filePath, generation) {
+    return generation === 0 ? `${filePath}.bak` : `${filePath}.bak.${generation}`;
+}
+
+async function parseFile(filePath, options) {
+    if (options.encrypted && safeStorage.isEncryptionAvailable()) {
+        const buffer = await fs.readFile(filePath);
+        return JSON.parse(safeStorage.decryptString(buffer));
+    }
+    return JSON.parse(await fs.readFile(filePath, 'utf-8'));
+}
+
+function serialize(data, options) {
+    if (options.encrypted && safeStorage.isEncryptionAvailable()) {
+        return safeStorage.encryptString(JSON.stringify(data));
+    }
+    return JSON.stringify(data, null, 2);
+}
+
+async function rotateBackups(filePath) {
+    for (let generation = BACKUP_GENERATIONS - 1; generation > 0; generation--) {
+        await fs.rename(backupPath(filePath, generation - 1), backupPath(filePath, generation)).catch(() => {});
+    }
+    await fs.copyFile(filePath, backupPath(filePath, 0)).catch(() => {});
+}
+
+// Write to a temp file and rename it over the original, so a crash never leaves half a file behind
+async function writeFileAtomic(filePath, data) {
+    const tempPath = `${filePath}.tmp`;
+    const handle = await fs.open(tempPath, 'w');
+    try {
+        await handle.writeFile(data, typeof data === 'string' ? 'utf-8' : undefined);
+        await handle.sync();
+    } finally {
+        await handle.close();
+    }
+    await rotateBackups(filePath);
+    await fs.rename(tempPath, filePath);
+}
+
+// Newest readable backup, which is also copied back over the broken file
+async function recoverFromBackup(filename, filePath, options) {
+    for (let generation = 0; generation < BACKUP_GENERATIONS; generation++) {
+        const candidate = backupPath(filePath, generation);
+        try {
+            const data = await parseFile(candidate, options);
+            await fs.copyFile(filePath, `${filePath}.corrupt`).catch(() => {});
+            await fs.copyFile(candidate, filePath);
+            console.warn(`Recovered ${filename} from ${path.basename(candidate)}`);
+            return { recovered: true, data };
+        } catch {
+            // Missing or broken as well, try the next older one
+        }
+    }
+    return { recovered: false };
+}
+
+async function readUnlocked(filename, defaultValue, options) {
     await ensureDataDir();
     const filePath = path.join(getDataDir(), filename);
     try {
-        if (options.encrypted && safeStorage.isEncryptionAvailable()) {
-            const buffer = await fs.readFile(filePath);
-            const decrypted = safeStorage.decryptString(buffer);
-            return JSON.parse(decrypted);
-        } else {
-            const data = await fs.readFile(filePath, 'utf-8');
-            return JSON.parse(data);
-        }
+        return await parseFile(filePath, options);
     } catch (error) {
         // ENOENT: File not found
         // Other errors: Decryption failed, JSON parse error, etc.
@@ -34,19 +104,89 @@ export async function readJson(filename, defaultValue = null, options = { encryp
             return defaultValue;
         }
         console.error(`Failed to read/decrypt ${filename}:`, error);
-        return defaultValue; // Return default if decryption/parsing fails
+        const backup = await recoverFromBackup(filename, filePath, options);
+        return backup.recovered ? backup.data : defaultValue;
     }
 }
 
-export async function writeJson(filename, data, options = { encrypted: false }) {
+async function writeUnlocked(filename, data, options) {
     await ensureDataDir();
     const filePath = path.join(getDataDir(), filename);
+    await writeFileAtomic(filePath, serialize(data, options));
+}
 
-    if (options.encrypted && safeStorage.isEncryptionAvailable()) {
-        const jsonString = JSON.stringify(data);
-        const encryptedBuffer = safeStorage.encryptString(jsonString);
-        await fs.writeFile(filePath, encryptedBuffer);
-    } else {
-        await fs.writeFile(filePath, JSON.stringify(data, null, 2), 'utf-8');
+export function readJson(filename, defaultValue = null, options = { encrypted: false }) {
+    return withFileLock(filename, () => readUnlocked(filename, defaultValue, options));
+}
+
+export function writeJson(filename, data, options = { encrypted: false }) {
+    return withFileLock(filename, () => writeUnlocked(filename, data, options));
+}
+
+/**
+ * Read-modify-write without other reads or writes of the file in between.
+ * `update` receives the current data and returns the data to store; its result is returned.
+ */
+export function updateJson(filename, defaultValue, update, options = { encrypted: false }) {
+    return withFileLock(filename, async () => {
+        const current = await readUnlocked(filename, defaultValue, options);
+        const next = await update(current);
+        await writeUnlocked(filename, next, options);
+        return next;
+    });
+}
+
+export class SchemaVersionError extends Error {
+    constructor(found, supported, writtenBy) {
+        super(`Data was written by a newer version of the app (${writtenBy || 'unknown'}, schema v${found}). ` +
+            `This version supports up to schema v${supported}; please update the app.`);
+        this.name = 'SchemaVersionError';
+        this.found = found;
+        this.supported = supported;
+    }
+}
+
+// Copies every data file into data/backups/<label>-<timestamp>/
+async function backupDataDir(label) {
+    const dir = getDataDir();
+    const entries = await fs.readdir(dir, { withFileTypes: true });
+    const files = entries.filter(e => e.isFile() && !/\.(bak(\.\d+)?|tmp|corrupt)$/.test(e.name));
+    if (files.length === 0) return null;
+
+    const target = path.join(dir, 'backups', `${label}-${new Date().toISOString().replace(/[:.]/g, '-')}`);
+    await fs.mkdir(target, { recursive: true });
+    for (const file of files) {
+        await fs.copyFile(path.join(dir, file.name), path.join(target, file.name));
+    }
+    return target;
+}
+
+/**
+ * Run the migrations newer than the stored schema version, oldest first.
+ * Data files are backed up before the first one runs; data from a newer schema is refused.
+ * @param {Array} migrations - [{ version, description, up }] sorted by version
+ */
+export async function migrateData(migrations) {
+    await ensureDataDir();
+    const latest = migrations.length > 0 ? migrations[migrations.length - 1].version : 0;
+    const schema = await readJson(SCHEMA_FILE, { version: 0 });
+
+    if (schema.version > latest) {
+        throw new SchemaVersionError(schema.version, latest, schema.appVersion);
+    }
+
+    const pending = migrations.filter(m => m.version > schema.version);
+    if (pending.length === 0) return schema;
+
+    const backup = await backupDataDir(`pre-migration-v${schema.version}`);
+    if (backup) console.log(`Backed up data to ${backup}`);
+
+    let current = schema;
+    for (const migration of pending) {
+        console.log(`Migrating data to schema v${migration.version}: ${migration.description}`);
+        await migration.up();
+        current = { version: migration.version, appVersion: app.getVersion(), migratedAt: new Date().toISOString() };
+        await writeJson(SCHEMA_FILE, current);
     }
+    return current;
 }
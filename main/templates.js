@@ -0,0 +1,33 @@
+// Placeholders expanded in post titles and text right before posting, e.g. "Event #{occurrence} on {date}"
+export const TEMPLATE_VARIABLES = ['date', 'time', 'weekday', 'occurrence', 'group.name'];
+
+const PLACEHOLDER_PATTERN = /\{([\w.]+)\}/g;
+
+export function hasPlaceholders(template) {
+    return typeof template === 'string' && TEMPLATE_VARIABLES.some(name => template.includes(`{${name}}`));
+}
+
+/**
+ * Build placeholder values for one occurrence
+ * @param {Object} context - { date, timeZone, locale, occurrence, groupName }
+ */
+export function buildTemplateVariables({ date, timeZone, locale, occurrence, groupName }) {
+    const format = (options) => new Intl.DateTimeFormat(locale || undefined, { timeZone, ...options }).format(date);
+    return {
+        date: format({ dateStyle: 'medium' }),
+        time: format({ timeStyle: 'short' }),
+        weekday: format({ weekday: 'long' }),
+        occurrence: String(occurrence),
+        'group.name': groupName
+    };
+}
+
+/**
+ * Replace known placeholders; unknown ones are left untouched so typos stay visible
+ */
+export function renderTemplate(template, variables) {
+    if (!template) return template;
+    return template.replace(PLACEHOLDER_PATTERN, (match, name) =>
+        variables[name] !== undefined ? variables[name] : match
+    );
+}
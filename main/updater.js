@@ -1,5 +1,5 @@
 import { app, shell } from 'electron';
-import { readJson, writeJson } from './storage.js';
+import { readJson, updateJson } from './storage.js';
 
 const GITHUB_OWNER = 'takacore';
 const GITHUB_REPO = 'vrchat-group-scheduler';
@@ -74,10 +74,8 @@ export async function getUpdateSettings() {
  * Save update settings to storage
  */
 export async function saveUpdateSettings(settings) {
-    const current = await getUpdateSettings();
-    const merged = { ...current, ...settings };
-    await writeJson(SETTINGS_FILE, merged);
-    return merged;
+    await updateJson(SETTINGS_FILE, {}, current => ({ ...current, ...settings }));
+    return getUpdateSettings();
 }
 
 /**
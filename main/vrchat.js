@@ -1,28 +1,179 @@
-import { readJson, writeJson } from './storage.js';
-import fetch from 'node-fetch'; // Electron main usually has native fetch in newer versions, but importing to be safe if environment differs. 
-// Actually Electron 34 has global fetch. We can remove import if we want, but let's keep native usage.
-
-const API_BASE = 'https://api.vrchat.cloud/api/1';
+import fs from 'fs/promises';
+import path from 'path';
+import crypto from 'crypto';
+import { EventEmitter } from 'events';
+import { readJson, updateJson } from './storage.js';
+import { FormData, Blob } from 'node-fetch';
+// Every request goes through the shared queue so bursts stay under VRChat's rate limits
+import { apiFetch, parseRetryAfter } from './api-client.js';
+
+const DEFAULT_API_BASE = 'https://api.vrchat.cloud/api/1';
 const USER_AGENT = 'VRChatGroupScheduler/1.0 (contact: admin@localhost)';
 const AUTH_FILE = 'auth.json';
+const API_SETTINGS_FILE = 'api-settings.json';
+const IMAGE_MAX_BYTES = 10 * 1024 * 1024;
+
+// Second login steps, named after their /auth/twofactorauth/<method>/verify endpoints
+export const TWO_FACTOR_METHODS = ['totp', 'emailotp', 'otp'];
+
+// auth.json: one cookie jar per VRChat account; pendingAccountId is a login waiting for its 2FA code
+const AUTH_DEFAULTS = { activeAccountId: null, pendingAccountId: null, accounts: [] };
+
+/**
+ * Session events for the rest of the main process:
+ * 'session-expired' ({ accountId, displayName }) when VRChat stops accepting an account's cookie
+ */
+export const authEvents = new EventEmitter();
+
+// Failures worth retrying later; everything else needs a human
+const RETRYABLE_KINDS = ['network', 'server', 'rate-limit'];
+
+/**
+ * Error thrown by API calls, classified so the scheduler can decide whether to retry
+ * kind: 'network', 'server', 'rate-limit', 'auth', 'permission' or 'validation'
+ */
+export class VRChatApiError extends Error {
+    constructor(message, { kind, status = null, retryAfterMs = null } = {}) {
+        super(message);
+        this.name = 'VRChatApiError';
+        this.kind = kind;
+        this.status = status;
+        this.retryAfterMs = retryAfterMs;
+    }
+
+    get retryable() {
+        return RETRYABLE_KINDS.includes(this.kind);
+    }
+
+    // VRChat rejected the session cookie; logging in again fixes it
+    get sessionExpired() {
+        return this.kind === 'auth' && this.status === 401;
+    }
+}
+
+function classifyStatus(status) {
+    if (status === 401) return 'auth';
+    if (status === 403) return 'permission';
+    if (status === 429) return 'rate-limit';
+    if (status >= 500) return 'server';
+    return 'validation';
+}
+
+async function toApiError(res, fallbackMessage) {
+    let message = fallbackMessage;
+    try {
+        // Gateway errors often come back as HTML, not JSON
+        const data = await res.json();
+        message = data.error?.message || message;
+    } catch {
+        message = `${fallbackMessage} (HTTP ${res.status})`;
+    }
+    return new VRChatApiError(message, {
+        kind: classifyStatus(res.status),
+        status: res.status,
+        retryAfterMs: parseRetryAfter(res.headers.get('retry-after'))
+    });
+}
+
+/**
+ * Get API settings from storage
+ */
+export async function getApiSettings() {
+    const defaults = {
+        apiBase: '' // '' = VRChat's public API
+    };
+    const settings = await readJson(API_SETTINGS_FILE, defaults);
+    return { ...defaults, ...settings };
+}
+
+/**
+ * Save API settings to storage
+ */
+export async function saveApiSettings(settings) {
+    await updateJson(API_SETTINGS_FILE, {}, current => ({ ...current, ...settings }));
+    return getApiSettings();
+}
+
+// VRCHAT_API_BASE wins over the saved setting so a mock server can be used without touching settings
+async function apiUrl(pathname) {
+    const base = process.env.VRCHAT_API_BASE || (await getApiSettings()).apiBase || DEFAULT_API_BASE;
+    return `${base.replace(/\/+$/, '')}${pathname}`;
+}
+
+async function readAuth() {
+    return { ...AUTH_DEFAULTS, ...(await readJson(AUTH_FILE, AUTH_DEFAULTS, { encrypted: true })) };
+}
+
+function updateAuth(update) {
+    return updateJson(AUTH_FILE, AUTH_DEFAULTS, auth => update({ ...AUTH_DEFAULTS, ...auth }), { encrypted: true });
+}
+
+// accountId null = the account selected in the UI
+function findAccount(auth, accountId) {
+    return auth.accounts.find(a => a.id === (accountId || auth.activeAccountId)) || null;
+}
+
+// Flags the account and tells listeners once, until it logs in again
+async function markSessionExpired(accountId) {
+    let expired = null;
+    await updateAuth(auth => {
+        const account = findAccount(auth, accountId);
+        if (!account || account.sessionExpiredAt) return auth;
+        expired = account;
+        return {
+            ...auth,
+            accounts: auth.accounts.map(a => a.id === account.id
+                ? { ...a, sessionExpiredAt: new Date().toISOString() }
+                : a)
+        };
+    });
+    if (expired) {
+        console.log(`Session of account ${expired.id} has expired.`);
+        authEvents.emit('session-expired', { accountId: expired.id, displayName: expired.displayName });
+    }
+}
+
+async function requestError(res, fallbackMessage, accountId) {
+    if (res.status === 401) await markSessionExpired(accountId);
+    return toApiError(res, fallbackMessage);
+}
 
-async function getAuthHeaders() {
-    const authData = await readJson(AUTH_FILE, {}, { encrypted: true });
-    if (!authData.cookies) return { 'User-Agent': USER_AGENT };
+async function getAuthHeaders(accountId = null) {
+    const account = findAccount(await readAuth(), accountId);
+    if (accountId && !account) {
+        throw new VRChatApiError('The account for this request has been logged out', { kind: 'auth' });
+    }
+    if (!account?.cookies) return { 'User-Agent': USER_AGENT };
 
     return {
         'User-Agent': USER_AGENT,
-        'Cookie': authData.cookies,
+        'Cookie': account.cookies,
     };
 }
 
-async function saveCookies(response) {
+function mergeCookies(currentCookies, newCookies) {
+    const cookieMap = new Map();
+
+    // Load existing
+    currentCookies.split(';').forEach(c => {
+        const [k, v] = c.split('=').map(s => s.trim());
+        if (k) cookieMap.set(k, v);
+    });
+
+    // Update with new
+    newCookies.forEach(c => {
+        const [k, v] = c.split('=').map(s => s.trim());
+        if (k) cookieMap.set(k, v);
+    });
+
+    // Reconstruct
+    return Array.from(cookieMap.entries()).map(([k, v]) => `${k}=${v}`).join('; ');
+}
+
+async function saveCookies(response, accountId) {
     const setCookie = response.headers.get('set-cookie');
     if (setCookie) {
         // Simple cookie parser/merger
-        const currentAuth = await readJson(AUTH_FILE, {}, { encrypted: true });
-        let currentCookies = currentAuth.cookies || '';
-
         // Split into individual cookies - this basic split might be fragile for complex set-cookie headers but works for basic VRChat auth
         // set-cookie header in node-fetch might be an array or string.
         // In native fetch, headers.get('set-cookie') returns string (first one) or joined? 
@@ -40,54 +191,148 @@ async function saveCookies(response) {
             newCookies = setCookie.map(c => c.split(';')[0].trim());
         }
 
-        const cookieMap = new Map();
+        // Merged inside the lock: another response may have updated the same jar meanwhile
+        await updateAuth(auth => ({
+            ...auth,
+            accounts: auth.accounts.map(a => a.id === accountId ? { ...a, cookies: mergeCookies(a.cookies || '', newCookies) } : a)
+        }));
+    }
+}
 
-        // Load existing
-        currentCookies.split(';').forEach(c => {
-            const [k, v] = c.split('=').map(s => s.trim());
-            if (k) cookieMap.set(k, v);
-        });
+/**
+ * Record who a freshly logged-in account is and make it the active one.
+ * Logging in to an account that already has a profile refreshes that profile,
+ * so posts scheduled under it keep working.
+ * @returns {string} ID of the profile that was kept
+ */
+async function activateAccount(accountId, user) {
+    let keptId = accountId;
+    await updateAuth(auth => {
+        const fresh = auth.accounts.find(a => a.id === accountId);
+        // Only a known user ID merges profiles; one whose user is unknown is left for the user to re-assign
+        const existing = auth.accounts.find(a => a.userId === user.id && a.id !== accountId);
+        keptId = existing ? existing.id : accountId;
+
+        const accounts = auth.accounts
+            .filter(a => !(existing && a.id === accountId))
+            .map(a => a.id === keptId
+                ? { id: keptId, userId: user.id, displayName: user.displayName, cookies: fresh.cookies }
+                : a);
+        return { ...auth, accounts, activeAccountId: keptId, pendingAccountId: null };
+    });
+    return keptId;
+}
 
-        // Update with new
-        newCookies.forEach(c => {
-            const [k, v] = c.split('=').map(s => s.trim());
-            if (k) cookieMap.set(k, v);
-        });
+/**
+ * Logged-in accounts for the account switcher (without their cookies)
+ */
+export async function getAccounts() {
+    const auth = await readAuth();
+    return auth.accounts
+        .filter(a => a.id !== auth.pendingAccountId)
+        .map(a => ({
+            id: a.id,
+            userId: a.userId || null,
+            displayName: a.displayName || a.userId || 'Unknown account',
+            active: a.id === auth.activeAccountId,
+            sessionExpired: Boolean(a.sessionExpiredAt)
+        }));
+}
 
-        // Reconstruct
-        const cookieString = Array.from(cookieMap.entries()).map(([k, v]) => `${k}=${v}`).join('; ');
+export async function getActiveAccountId() {
+    return (await readAuth()).activeAccountId;
+}
 
-        await writeJson(AUTH_FILE, { ...currentAuth, cookies: cookieString }, { encrypted: true });
-        await writeJson(AUTH_FILE, { ...currentAuth, cookies: cookieString }, { encrypted: true });
-    }
+export async function switchAccount(accountId) {
+    await updateAuth(auth => {
+        if (!auth.accounts.some(a => a.id === accountId && a.id !== auth.pendingAccountId)) {
+            throw new Error('Account not found');
+        }
+        return { ...auth, activeAccountId: accountId };
+    });
+    return getAccounts();
 }
 
-export async function logout() {
-    await writeJson(AUTH_FILE, {}, { encrypted: true });
-    return true;
+/**
+ * Forget one account's session (the active one by default); another account becomes active
+ * @returns {Array} Remaining accounts
+ */
+export async function logout(accountId = null) {
+    await updateAuth(auth => {
+        const id = accountId || auth.activeAccountId;
+        const accounts = auth.accounts.filter(a => a.id !== id);
+        const activeAccountId = auth.activeAccountId === id
+            ? accounts.find(a => a.id !== auth.pendingAccountId)?.id || null
+            : auth.activeAccountId;
+        return { ...auth, accounts, activeAccountId };
+    });
+    return getAccounts();
 }
 
+/**
+ * Log in as an additional account. Other accounts stay logged in; the new one becomes active
+ * once it is fully verified (immediately, or after verify2FA).
+ */
 export async function login(username, password) {
     const auth = Buffer.from(`${username}:${password}`).toString('base64');
-    const res = await fetch(`${API_BASE}/auth/user`, {
+    const res = await apiFetch(await apiUrl('/auth/user'), {
         headers: {
             'Authorization': `Basic ${auth}`,
             'User-Agent': USER_AGENT
         }
     });
 
-    await saveCookies(res);
     const data = await res.json();
 
     if (!res.ok) {
         throw new Error(data.error?.message || 'Login failed');
     }
-    return data;
+
+    const twoFactorMethods = data.requiresTwoFactorAuth ? parseTwoFactorMethods(data.requiresTwoFactorAuth) : [];
+
+    // A login abandoned at the 2FA step is replaced by this one
+    const accountId = crypto.randomUUID();
+    await updateAuth(current => ({
+        ...current,
+        accounts: [
+            ...current.accounts.filter(a => a.id !== current.pendingAccountId),
+            { id: accountId, cookies: '', twoFactorMethods }
+        ],
+        pendingAccountId: accountId
+    }));
+    await saveCookies(res, accountId);
+
+    if (!data.requiresTwoFactorAuth) {
+        await activateAccount(accountId, data);
+        return data;
+    }
+    return { ...data, twoFactorMethods };
 }
 
-export async function verify2FA(code) {
-    const headers = await getAuthHeaders();
-    const res = await fetch(`${API_BASE}/auth/twofactorauth/totp/verify`, {
+// VRChat lists the allowed methods, e.g. ['totp', 'otp'] or ['emailOtp']
+function parseTwoFactorMethods(required) {
+    const methods = Array.isArray(required)
+        ? required.map(m => String(m).toLowerCase()).filter(m => TWO_FACTOR_METHODS.includes(m))
+        : [];
+    return methods.length > 0 ? methods : ['totp'];
+}
+
+/**
+ * Finish a login that requires 2FA
+ * @param {string} method - 'totp' (authenticator app), 'emailotp' (emailed code) or 'otp' (recovery code)
+ */
+export async function verify2FA(code, method = 'totp') {
+    const auth = await readAuth();
+    const pending = auth.accounts.find(a => a.id === auth.pendingAccountId);
+    if (!pending) {
+        throw new Error('No login is waiting for a 2FA code');
+    }
+    if (!(pending.twoFactorMethods || ['totp']).includes(method)) {
+        throw new Error(`This account cannot be verified with ${method}`);
+    }
+    const pendingAccountId = pending.id;
+    const headers = await getAuthHeaders(pendingAccountId);
+    const res = await apiFetch(await apiUrl(`/auth/twofactorauth/${method}/verify`), {
         method: 'POST',
         headers: {
             ...headers,
@@ -96,58 +341,240 @@ export async function verify2FA(code) {
         body: JSON.stringify({ code })
     });
 
-    await saveCookies(res);
+    await saveCookies(res, pendingAccountId);
     const data = await res.json();
 
     if (!res.ok) {
         throw new Error(data.error?.message || '2FA verification failed');
     }
+
+    const user = await getCurrentUser(pendingAccountId);
+    if (user) {
+        await activateAccount(pendingAccountId, user);
+    }
     return data;
 }
 
-export async function getCurrentUser() {
-    const headers = await getAuthHeaders();
-    if (!headers.Cookie) return null; // No cookies, definitely not logged in
+export async function getCurrentUser(accountId = null) {
+    const account = findAccount(await readAuth(), accountId);
+    if (!account?.cookies) return null; // No cookies, definitely not logged in
 
-    const res = await fetch(`${API_BASE}/auth/user`, { headers });
+    const res = await apiFetch(await apiUrl('/auth/user'), {
+        headers: { 'User-Agent': USER_AGENT, 'Cookie': account.cookies }
+    });
+    if (res.status === 401) await markSessionExpired(account.id);
     if (!res.ok) return null;
+    const user = await res.json();
+
+    // Keeps the switcher's names current; profiles migrated from the single-account file learn who they are here
+    if (account.userId !== user.id || account.displayName !== user.displayName || account.sessionExpiredAt) {
+        await updateAuth(auth => ({
+            ...auth,
+            accounts: auth.accounts.map(a => a.id === account.id
+                ? { ...a, userId: user.id, displayName: user.displayName, sessionExpiredAt: undefined }
+                : a)
+        }));
+    }
+    return user;
+}
+
+/**
+ * @param {string} accountId - Account that owns the post; null = the active account
+ */
+export async function createGroupPost(groupId, postData, accountId = null) {
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/groups/${groupId}/posts`), {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(postData)
+        });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to create post', accountId);
+    }
     return res.json();
 }
 
-export async function createGroupPost(groupId, postData) {
-    const headers = await getAuthHeaders();
-    const res = await fetch(`${API_BASE}/groups/${groupId}/posts`, {
-        method: 'POST',
-        headers: {
-            ...headers,
-            'Content-Type': 'application/json'
-        },
-        body: JSON.stringify(postData)
-    });
+/**
+ * One page of a group's posts, newest first, including ones made outside this app
+ */
+export async function getGroupPosts(groupId, { n = 100, offset = 0 } = {}, accountId = null) {
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/groups/${groupId}/posts?n=${n}&offset=${offset}`), { headers });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
 
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to fetch posts', accountId);
+    }
     const data = await res.json();
+    return Array.isArray(data) ? data : data.posts || [];
+}
+
+/**
+ * Remove a post from a group
+ * @returns {boolean} false when the post was already gone
+ */
+export async function deleteGroupPost(groupId, postId, accountId = null) {
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/groups/${groupId}/posts/${postId}`), {
+            method: 'DELETE',
+            headers
+        });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+
+    if (res.status === 404) return false;
     if (!res.ok) {
-        throw new Error(data.error?.message || 'Failed to create post');
+        throw await requestError(res, 'Failed to delete post', accountId);
     }
-    return data;
+    return true;
 }
 
-async function getGroupRoles(groupId) {
-    const headers = await getAuthHeaders();
-    const res = await fetch(`${API_BASE}/groups/${groupId}/roles`, { headers });
-    if (!res.ok) return [];
+// Categories VRChat accepts for group calendar events
+export const EVENT_CATEGORIES = [
+    'hangout', 'music', 'gaming', 'dance', 'performance', 'arts', 'education',
+    'exploring', 'avatars', 'film_media', 'roleplaying', 'wellness', 'other'
+];
+
+/**
+ * Publish an event to a group's calendar
+ * @param {Object} eventData - { title, description, startsAt, endsAt, category, accessType, imageId, sendCreationNotification, roleIds }
+ */
+export async function createGroupEvent(groupId, eventData, accountId = null) {
+    if (eventData.category && !EVENT_CATEGORIES.includes(eventData.category)) {
+        throw new VRChatApiError(`Unknown event category: ${eventData.category}`, { kind: 'validation' });
+    }
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/calendar/${groupId}/event`), {
+            method: 'POST',
+            headers: {
+                ...headers,
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(eventData)
+        });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to create calendar event', accountId);
+    }
+    return res.json();
+}
+
+// Identify images by signature rather than trusting the file extension
+function detectImageType(buffer) {
+    if (buffer.subarray(0, 8).equals(Buffer.from([0x89, 0x50, 0x4e, 0x47, 0x0d, 0x0a, 0x1a, 0x0a]))) {
+        return 'image/png';
+    }
+    if (buffer[0] === 0xff && buffer[1] === 0xd8 && buffer[2] === 0xff) {
+        return 'image/jpeg';
+    }
+    return null;
+}
+
+/**
+ * Read a local image and check it is something VRChat will accept
+ * @returns {Object} { buffer, mimeType, name, size }
+ */
+export async function readImageFile(filePath) {
+    const buffer = await fs.readFile(filePath);
+    const mimeType = detectImageType(buffer);
+    if (!mimeType) {
+        throw new VRChatApiError('Image must be a PNG or JPEG file', { kind: 'validation' });
+    }
+    if (buffer.length > IMAGE_MAX_BYTES) {
+        const sizeMb = (buffer.length / 1024 / 1024).toFixed(1);
+        throw new VRChatApiError(`Image is ${sizeMb} MB; the limit is ${IMAGE_MAX_BYTES / 1024 / 1024} MB`, { kind: 'validation' });
+    }
+    return { buffer, mimeType, name: path.basename(filePath), size: buffer.length };
+}
+
+/**
+ * Upload a local image to VRChat and return its file ID for use as a post imageId
+ */
+export async function uploadImage(filePath, accountId = null) {
+    const image = await readImageFile(filePath);
+    const headers = await getAuthHeaders(accountId);
+
+    const form = new FormData();
+    form.append('tag', 'gallery');
+    form.append('file', new Blob([image.buffer], { type: image.mimeType }), image.name);
+
+    let res;
+    try {
+        res = await apiFetch(await apiUrl('/file/image'), { method: 'POST', headers, body: form });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to upload image', accountId);
+    }
+    const data = await res.json();
+    return data.id;
+}
+
+export async function getGroup(groupId, accountId = null) {
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/groups/${groupId}`), { headers });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to fetch group', accountId);
+    }
+    return res.json();
+}
+
+/**
+ * Roles of a group, for restricting a post to some of them
+ */
+export async function getGroupRoles(groupId, accountId = null) {
+    const headers = await getAuthHeaders(accountId);
+    let res;
+    try {
+        res = await apiFetch(await apiUrl(`/groups/${groupId}/roles`), { headers });
+    } catch (err) {
+        throw new VRChatApiError(err.message, { kind: 'network' });
+    }
+    // Members who may not see the roles just get no role picker
+    if (res.status === 403) return [];
+    if (!res.ok) {
+        throw await requestError(res, 'Failed to fetch group roles', accountId);
+    }
     return res.json();
 }
 
 export async function getUserGroups(userId) {
     const headers = await getAuthHeaders();
-    const res = await fetch(`${API_BASE}/users/${userId}/groups`, { headers });
+    const res = await apiFetch(await apiUrl(`/users/${userId}/groups`), { headers });
 
     if (res.status === 404) return [];
 
     if (!res.ok) {
-        const data = await res.json();
-        throw new Error(data.error?.message || 'Failed to fetch groups');
+        throw await requestError(res, 'Failed to fetch groups');
     }
 
     const allGroups = await res.json();
@@ -158,9 +585,14 @@ export async function getUserGroups(userId) {
     }));
 }
 
-export async function checkGroupPermission(groupId) {
+// Calendar events need group-calendar-manage instead of group-announcement-manage
+export async function checkGroupPermission(groupId, permission = 'group-announcement-manage') {
     const headers = await getAuthHeaders();
-    const groupRes = await fetch(`${API_BASE}/groups/${groupId}`, { headers });
+    const groupRes = await apiFetch(await apiUrl(`/groups/${groupId}`), { headers });
+    // An expired session is not a missing permission
+    if (groupRes.status === 401) {
+        throw await requestError(groupRes, 'Failed to check group permission');
+    }
     if (!groupRes.ok) return false;
 
     const group = await groupRes.json();
@@ -171,7 +603,7 @@ export async function checkGroupPermission(groupId) {
 
     const hasPermission = roles.some(role =>
         myRoleIds.includes(role.id) &&
-        (role.permissions.includes('group-announcement-manage') ||
+        (role.permissions.includes(permission) ||
             role.permissions.includes('*'))
     );
 
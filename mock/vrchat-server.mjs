@@ -0,0 +1,326 @@
+// Local stand-in for the parts of the VRChat API this app uses.
+//
+//   node mock/vrchat-server.mjs            # listens on http://127.0.0.1:4010/api/1
+//   VRCHAT_API_BASE=http://127.0.0.1:4010/api/1 npm run dev
+//
+// Accounts (password "password"): "owner" (no 2FA), "moderator" (TOTP 123456 or recovery code
+// "rec-0001" / "rec-0002", each usable once) and "mailer" (email OTP 654321).
+// Failures can be injected with POST /__mock/fail { method, path, status, times, retryAfter }.
+import http from 'http';
+import crypto from 'crypto';
+
+const TOTP_CODE = '123456';
+const EMAIL_OTP_CODE = '654321';
+
+export function createInitialState() {
+    return {
+        users: {
+            owner: {
+                id: 'usr_owner',
+                username: 'owner',
+                displayName: 'Group Owner',
+                password: 'password',
+                twoFactor: []
+            },
+            moderator: {
+                id: 'usr_moderator',
+                username: 'moderator',
+                displayName: 'Moderator',
+                password: 'password',
+                twoFactor: ['totp', 'otp'],
+                recoveryCodes: ['rec-0001', 'rec-0002']
+            },
+            mailer: {
+                id: 'usr_mailer',
+                username: 'mailer',
+                displayName: 'Mail User',
+                password: 'password',
+                twoFactor: ['emailOtp']
+            }
+        },
+        groups: {
+            grp_main: {
+                id: 'grp_main',
+                name: 'Main Group',
+                shortCode: 'MAIN',
+                ownerId: 'usr_owner',
+                members: { usr_owner: ['grol_owner'], usr_moderator: ['grol_staff'], usr_mailer: ['grol_staff'] }
+            },
+            grp_side: {
+                id: 'grp_side',
+                name: 'Side Group',
+                shortCode: 'SIDE',
+                ownerId: 'usr_other',
+                members: { usr_owner: ['grol_member'], usr_moderator: ['grol_member'] }
+            }
+        },
+        roles: {
+            grp_main: [
+                { id: 'grol_owner', name: 'Owner', permissions: ['*'] },
+                { id: 'grol_staff', name: 'Staff', permissions: ['group-announcement-manage', 'group-calendar-manage'] }
+            ],
+            grp_side: [
+                { id: 'grol_member', name: 'Member', permissions: [] }
+            ]
+        },
+        sessions: {}, // authcookie -> { userId, verified }
+        posts: [], // { groupId, id, title, text, ... }
+        events: [], // { ownerId (group), id, title, startsAt, endsAt, ... }
+        files: [],
+        failures: [], // { method, path, status, times, retryAfter }
+        requests: [] // { method, path }
+    };
+}
+
+function send(res, status, body, headers = {}) {
+    res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+    res.end(JSON.stringify(body));
+}
+
+function sendError(res, status, message, headers) {
+    send(res, status, { error: { message, status_code: status } }, headers);
+}
+
+function parseCookies(header = '') {
+    return Object.fromEntries(
+        header.split(';').map(c => c.trim().split('=')).filter(([k]) => k)
+    );
+}
+
+async function readBody(req) {
+    const chunks = [];
+    for await (const chunk of req) chunks.push(chunk);
+    return Buffer.concat(chunks);
+}
+
+function takeFailure(state, method, pathname) {
+    const failure = state.failures.find(f =>
+        (!f.method || f.method === method) && pathname.startsWith(f.path) && f.times > 0
+    );
+    if (failure) failure.times -= 1;
+    return failure;
+}
+
+function publicUser(user) {
+    const { password: _password, twoFactor: _twoFactor, recoveryCodes: _recoveryCodes, ...rest } = user;
+    return rest;
+}
+
+export function createMockServer(state = createInitialState()) {
+    const server = http.createServer(async (req, res) => {
+        const url = new URL(req.url, 'http://localhost');
+        const pathname = url.pathname.replace(/^\/api\/1/, '');
+        const method = req.method;
+        state.requests.push({ method, path: pathname });
+
+        try {
+            // Test controls
+            if (pathname === '/__mock/fail' && method === 'POST') {
+                const failure = JSON.parse((await readBody(req)).toString() || '{}');
+                state.failures.push({ times: 1, ...failure });
+                return send(res, 200, { ok: true });
+            }
+            if (pathname === '/__mock/state' && method === 'GET') {
+                return send(res, 200, { posts: state.posts, events: state.events, files: state.files });
+            }
+
+            const failure = takeFailure(state, method, pathname);
+            if (failure) {
+                const headers = failure.retryAfter !== undefined ? { 'Retry-After': String(failure.retryAfter) } : {};
+                return sendError(res, failure.status, `Injected ${failure.status}`, headers);
+            }
+
+            const cookies = parseCookies(req.headers.cookie);
+            const session = state.sessions[cookies.auth];
+            const currentUser = session?.verified
+                ? Object.values(state.users).find(u => u.id === session.userId)
+                : null;
+
+            // Auth
+            if (pathname === '/auth/user' && method === 'GET') {
+                const authHeader = req.headers.authorization || '';
+                if (authHeader.startsWith('Basic ')) {
+                    const [username, password] = Buffer.from(authHeader.slice(6), 'base64').toString().split(':');
+                    const user = state.users[username];
+                    if (!user || user.password !== password) {
+                        return sendError(res, 401, 'Invalid Username/Email or Password');
+                    }
+                    const token = `authcookie_${crypto.randomUUID()}`;
+                    state.sessions[token] = { userId: user.id, verified: user.twoFactor.length === 0 };
+                    const headers = { 'Set-Cookie': `auth=${token}; Max-Age=86400; Path=/; HttpOnly` };
+                    if (user.twoFactor.length > 0) {
+                        return send(res, 200, { requiresTwoFactorAuth: user.twoFactor }, headers);
+                    }
+                    return send(res, 200, publicUser(user), headers);
+                }
+                if (!currentUser) return sendError(res, 401, 'Missing Credentials');
+                return send(res, 200, publicUser(currentUser));
+            }
+
+            const twoFactor = pathname.match(/^\/auth\/twofactorauth\/(totp|emailotp|otp)\/verify$/);
+            if (twoFactor && method === 'POST') {
+                if (!session) return sendError(res, 401, 'Missing Credentials');
+                const user = Object.values(state.users).find(u => u.id === session.userId);
+                const kind = twoFactor[1];
+                if (!user.twoFactor.some(m => m.toLowerCase() === kind)) {
+                    return sendError(res, 400, `${kind} is not enabled for this account`);
+                }
+
+                const { code } = JSON.parse((await readBody(req)).toString() || '{}');
+                const valid = kind === 'totp' ? code === TOTP_CODE
+                    : kind === 'emailotp' ? code === EMAIL_OTP_CODE
+                        : user.recoveryCodes.includes(code);
+                if (!valid) {
+                    return sendError(res, 400, `Invalid ${kind === 'totp' ? 'TOTP' : kind === 'emailotp' ? 'email' : 'recovery'} code`);
+                }
+                if (kind === 'otp') {
+                    user.recoveryCodes = user.recoveryCodes.filter(c => c !== code);
+                }
+                session.verified = true;
+                return send(res, 200, { verified: true }, {
+                    'Set-Cookie': `twoFactorAuth=tfa_${crypto.randomUUID()}; Max-Age=86400; Path=/; HttpOnly`
+                });
+            }
+
+            if (!currentUser) return sendError(res, 401, 'Missing Credentials');
+
+            // Groups
+            let match = pathname.match(/^\/users\/([^/]+)\/groups$/);
+            if (match && method === 'GET') {
+                const memberships = Object.values(state.groups)
+                    .filter(g => g.members[match[1]])
+                    .map(g => ({
+                        id: `gmem_${g.id}_${match[1]}`,
+                        groupId: g.id,
+                        name: g.name,
+                        shortCode: g.shortCode,
+                        ownerId: g.ownerId
+                    }));
+                return send(res, 200, memberships);
+            }
+
+            match = pathname.match(/^\/groups\/([^/]+)\/posts\/([^/]+)$/);
+            if (match && method === 'DELETE') {
+                const index = state.posts.findIndex(p => p.groupId === match[1] && p.id === match[2]);
+                if (index === -1) return sendError(res, 404, 'Post not found');
+                const post = state.posts[index];
+                const roleIds = state.groups[post.groupId].members[currentUser.id] || [];
+                const canDelete = post.authorId === currentUser.id || (state.roles[post.groupId] || []).some(r =>
+                    roleIds.includes(r.id) &&
+                    (r.permissions.includes('*') || r.permissions.includes('group-announcement-manage'))
+                );
+                if (!canDelete) return sendError(res, 403, 'You do not have permission to delete this post');
+                state.posts.splice(index, 1);
+                return send(res, 200, { success: { message: 'Post deleted', status_code: 200 } });
+            }
+
+            match = pathname.match(/^\/groups\/([^/]+)(\/roles|\/posts)?$/);
+            const group = match && state.groups[match[1]];
+            if (match && !group) return sendError(res, 404, 'Group not found');
+
+            if (match && !match[2] && method === 'GET') {
+                const { members, ...rest } = group;
+                const roleIds = members[currentUser.id];
+                return send(res, 200, { ...rest, myMember: roleIds ? { userId: currentUser.id, roleIds } : null });
+            }
+
+            if (match && match[2] === '/roles' && method === 'GET') {
+                return send(res, 200, state.roles[group.id] || []);
+            }
+
+            if (match && match[2] === '/posts' && method === 'GET') {
+                const n = Number(url.searchParams.get('n') || 60);
+                const offset = Number(url.searchParams.get('offset') || 0);
+                const posts = state.posts.filter(p => p.groupId === group.id).reverse();
+                return send(res, 200, { posts: posts.slice(offset, offset + n), total: posts.length });
+            }
+
+            if (match && match[2] === '/posts' && method === 'POST') {
+                const roleIds = group.members[currentUser.id] || [];
+                const canPost = (state.roles[group.id] || []).some(r =>
+                    roleIds.includes(r.id) &&
+                    (r.permissions.includes('*') || r.permissions.includes('group-announcement-manage'))
+                );
+                if (!canPost) return sendError(res, 403, 'You do not have permission to post');
+
+                const body = JSON.parse((await readBody(req)).toString() || '{}');
+                if (!body.title || !body.text) return sendError(res, 400, 'title and text are required');
+                if (body.visibility && !['public', 'group'].includes(body.visibility)) {
+                    return sendError(res, 400, `Invalid visibility: ${body.visibility}`);
+                }
+                if (body.roleIds?.length) {
+                    if (body.visibility !== 'group') return sendError(res, 400, 'roleIds require group visibility');
+                    const known = (state.roles[group.id] || []).map(r => r.id);
+                    const unknown = body.roleIds.filter(id => !known.includes(id));
+                    if (unknown.length) return sendError(res, 400, `Unknown role: ${unknown.join(', ')}`);
+                }
+
+                const post = {
+                    id: `gpost_${crypto.randomUUID()}`,
+                    groupId: group.id,
+                    authorId: currentUser.id,
+                    createdAt: new Date().toISOString(),
+                    ...body
+                };
+                state.posts.push(post);
+                return send(res, 200, post);
+            }
+
+            // Calendar
+            match = pathname.match(/^\/calendar\/([^/]+)\/event$/);
+            if (match && method === 'POST') {
+                const calendarGroup = state.groups[match[1]];
+                if (!calendarGroup) return sendError(res, 404, 'Group not found');
+                const roleIds = calendarGroup.members[currentUser.id] || [];
+                const canManage = (state.roles[calendarGroup.id] || []).some(r =>
+                    roleIds.includes(r.id) &&
+                    (r.permissions.includes('*') || r.permissions.includes('group-calendar-manage'))
+                );
+                if (!canManage) return sendError(res, 403, 'You do not have permission to manage the calendar');
+
+                const body = JSON.parse((await readBody(req)).toString() || '{}');
+                if (!body.title || !body.startsAt || !body.endsAt) {
+                    return sendError(res, 400, 'title, startsAt and endsAt are required');
+                }
+                if (new Date(body.endsAt) <= new Date(body.startsAt)) {
+                    return sendError(res, 400, 'endsAt must be after startsAt');
+                }
+                if (body.accessType && !['public', 'group'].includes(body.accessType)) {
+                    return sendError(res, 400, `Invalid accessType: ${body.accessType}`);
+                }
+
+                const event = {
+                    id: `cal_${crypto.randomUUID()}`,
+                    ownerId: calendarGroup.id,
+                    createdAt: new Date().toISOString(),
+                    ...body
+                };
+                state.events.push(event);
+                return send(res, 200, event);
+            }
+
+            // Files
+            if (pathname === '/file/image' && method === 'POST') {
+                const body = await readBody(req);
+                const file = { id: `file_${crypto.randomUUID()}`, size: body.length, ownerId: currentUser.id };
+                state.files.push(file);
+                return send(res, 200, file);
+            }
+
+            return sendError(res, 404, `No mock for ${method} ${pathname}`);
+        } catch (err) {
+            return sendError(res, 500, err.message);
+        }
+    });
+
+    server.state = state;
+    return server;
+}
+
+// Run standalone: node mock/vrchat-server.mjs [port]
+if (import.meta.url === `file://${process.argv[1]}`) {
+    const port = Number(process.argv[2] || process.env.PORT || 4010);
+    createMockServer().listen(port, '127.0.0.1', () => {
+        console.log(`Mock VRChat API listening on http://127.0.0.1:${port}/api/1`);
+    });
+}
@@ -1,31 +1,88 @@
 import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import styles from '../styles/Home.module.css';
+import { DAY_LABELS, SET_POSITIONS, DEFAULT_RULE, buildRRule, parseRRule, describeRecurrence } from '../utils/recurrence';
+import { VIEWER_TIME_ZONE, TIME_ZONES, wallClockToIso, isoToWallClock, formatInZone, formatTimeUntil } from '../utils/timezone';
+import { EVENT_CATEGORIES, DEFAULT_EVENT, durationFromEndTime, endTimeFromDuration, categoryLabel } from '../utils/events';
+
+// Presets for auto-deleting time-limited announcements ("instance open now!")
+const EXPIRY_OPTIONS = [
+  { minutes: '', label: 'Never' },
+  { minutes: 60, label: '1 hour' },
+  { minutes: 180, label: '3 hours' },
+  { minutes: 360, label: '6 hours' },
+  { minutes: 720, label: '12 hours' },
+  { minutes: 1440, label: '1 day' },
+  { minutes: 4320, label: '3 days' },
+  { minutes: 10080, label: '1 week' }
+];
+
+// Blackout ends: "MM-DD" every year or "YYYY-MM-DD" once
+const BLACKOUT_DATE = /^(\d{4}-)?\d{2}-\d{2}$/;
 
 export default function Dashboard() {
   const [user, setUser] = useState(null);
+  const [accounts, setAccounts] = useState([]); // Logged-in accounts for the switcher
+  const [expiredAccount, setExpiredAccount] = useState(null); // { accountId, displayName } needing a new login
+  const [orphanAccountId, setOrphanAccountId] = useState(null); // Migrated profile whose VRChat account is unknown
   const [posts, setPosts] = useState([]);
+  const [nextRuns, setNextRuns] = useState({}); // post ID -> next fire time of its job
+  const [sortBy, setSortBy] = useState('status'); // 'status' or 'next' (next run first)
+  const [now, setNow] = useState(Date.now()); // Ticks so countdowns stay current
   const [loading, setLoading] = useState(true);
   const [refreshing, setRefreshing] = useState(false);
   const router = useRouter();
 
   // UX State
   const [error, setError] = useState('');
+  const [liveGroupId, setLiveGroupId] = useState(''); // Group shown in the live posts panel
+  const [livePosts, setLivePosts] = useState(null); // { posts, missing } from VRChat
+  const [liveLoading, setLiveLoading] = useState(false);
+  const [importPlan, setImportPlan] = useState(null); // Dry run of an import: { token, filePath, rows }
   const [showTrash, setShowTrash] = useState(false);
 
   // Form State
+  const [kind, setKind] = useState('post'); // 'post' (group feed) or 'event' (group calendar)
+  const [eventFields, setEventFields] = useState(DEFAULT_EVENT);
   const [groupId, setGroupId] = useState('');
+  const [extraGroupIds, setExtraGroupIds] = useState([]); // Other groups the post is broadcast to
   const [groups, setGroups] = useState([]);
   const [permissionChecking, setPermissionChecking] = useState(false);
   const [title, setTitle] = useState('');
   const [text, setText] = useState('');
-  const [scheduledAt, setScheduledAt] = useState('');
+  const [scheduledAt, setScheduledAt] = useState(''); // Wall-clock time in timeZone
+  const [timeZone, setTimeZone] = useState(VIEWER_TIME_ZONE);
   const [notification, setNotification] = useState(false);
+  const [visibility, setVisibility] = useState('public'); // 'public' or 'group' (members only)
+  const [roleIds, setRoleIds] = useState([]); // Members-only posts can be limited further to these roles
+  const [expireAfterMinutes, setExpireAfterMinutes] = useState(''); // '' = keep the post in VRChat
+  const [groupRoles, setGroupRoles] = useState([]); // Roles of the selected group
+  const [image, setImage] = useState(null); // { name, path?, previewUrl?, imageId? }
+  const [imageUploadTiming, setImageUploadTiming] = useState('schedule'); // 'schedule' or 'fire'
+  const [uploadingImage, setUploadingImage] = useState(false);
+  const [editingPost, setEditingPost] = useState(null); // Post being edited in place
+
+  // Template Preview State
+  const [preview, setPreview] = useState(null); // { title, text, occurrenceAt }
+  const [upcoming, setUpcoming] = useState([]); // Next fire times of the draft: [{ fireAt, occurrenceAt }]
 
   // Recurrence State
   const [isRecurring, setIsRecurring] = useState(false);
-  const [recurrenceType, setRecurrenceType] = useState('daily');
-  const [recurrenceDays, setRecurrenceDays] = useState([]);
+  const [recurrenceRule, setRecurrenceRule] = useState(DEFAULT_RULE);
+  const [exdates, setExdates] = useState([]); // YYYY-MM-DD, local
+  const [exdateInput, setExdateInput] = useState('');
+
+  // Catch-up State ('' = use global setting)
+  const [catchUpPolicy, setCatchUpPolicy] = useState('');
+  const [catchUpGraceMinutes, setCatchUpGraceMinutes] = useState(15);
+
+  // Missed Posts State
+  const [missedPosts, setMissedPosts] = useState([]);
+  const [missedReschedule, setMissedReschedule] = useState({}); // id -> datetime-local value
+  const [schedulerSettings, setSchedulerSettings] = useState({ catchUpPolicy: 'skip', catchUpGraceMinutes: 15 });
+  const [apiSettings, setApiSettings] = useState({ apiBase: '' });
+  const [calendarSettings, setCalendarSettings] = useState({ autoExportPath: '' });
+  const [queueStats, setQueueStats] = useState(null); // VRChat API request queue
 
   // Update State
   const [updateInfo, setUpdateInfo] = useState(null);
@@ -45,11 +102,50 @@ export default function Dashboard() {
       setShowUpdateBanner(true);
     });
 
+    // Posts of this account are held until it logs in again
+    const unsubscribeSession = window.ipc.on('auth:session-expired', (info) => {
+      setExpiredAccount(info);
+      fetchPosts();
+    });
+
     return () => {
       if (unsubscribe) unsubscribe();
+      if (unsubscribeSession) unsubscribeSession();
     };
   }, []);
 
+  // Roles for the visibility picker follow the selected group
+  useEffect(() => {
+    if (!groupId) {
+      setGroupRoles([]);
+      return;
+    }
+    window.ipc.invoke('groups:get-roles', { groupId })
+      .then(setGroupRoles)
+      .catch(err => {
+        console.error('Failed to fetch roles', err);
+        setError('Failed to load group roles: ' + err.message);
+        setGroupRoles([]);
+      });
+  }, [groupId]);
+
+  // Poll the API request queue so throttling is visible
+  useEffect(() => {
+    const poll = () => window.ipc.invoke('api:get-queue-stats').then(setQueueStats).catch(console.error);
+    poll();
+    const timer = setInterval(poll, 2000);
+    return () => clearInterval(timer);
+  }, []);
+
+  useEffect(() => {
+    const timer = setInterval(() => {
+      setNow(Date.now());
+      // Recurring jobs move on to their next occurrence after firing
+      window.ipc.invoke('posts:get-next-runs').then(setNextRuns).catch(console.error);
+    }, 30000);
+    return () => clearInterval(timer);
+  }, []);
+
   // Fetch posts whenever showTrash changes
   useEffect(() => {
     if (user) {
@@ -57,10 +153,70 @@ export default function Dashboard() {
     }
   }, [showTrash, user]);
 
+  // Fire times of the draft, so a recurrence rule can be checked before saving
+  useEffect(() => {
+    if (!scheduledAt) {
+      setUpcoming([]);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        setUpcoming(await window.ipc.invoke('posts:preview-occurrences', {
+          draft: {
+            kind,
+            event: kind === 'event' ? { publishLeadMinutes: Math.round(Number(eventFields.publishLeadDays) * 1440) } : null,
+            scheduledAt: wallClockToIso(scheduledAt, timeZone),
+            timeZone,
+            recurrence: isRecurring ? buildRecurrence() : null
+          },
+          count: 5
+        }));
+      } catch (err) {
+        console.error('Failed to preview occurrences', err);
+        setUpcoming([]);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [scheduledAt, timeZone, isRecurring, recurrenceRule, exdates, kind, eventFields.publishLeadDays]);
+
+  // Live preview of template placeholders for the next occurrence
+  useEffect(() => {
+    if (!scheduledAt || !/\{[\w.]+\}/.test(title + text)) {
+      setPreview(null);
+      return;
+    }
+
+    const timer = setTimeout(async () => {
+      try {
+        const group = groups.find(g => g.groupId === groupId);
+        const result = await window.ipc.invoke('posts:preview', {
+          draft: {
+            id: editingPost?.id,
+            groupId,
+            title,
+            text,
+            scheduledAt: wallClockToIso(scheduledAt, timeZone),
+            timeZone,
+            recurrence: isRecurring ? buildRecurrence() : null
+          },
+          groupName: group?.name
+        });
+        setPreview(result);
+      } catch (err) {
+        console.error('Failed to render preview', err);
+      }
+    }, 300);
+    return () => clearTimeout(timer);
+  }, [title, text, scheduledAt, timeZone, groupId, isRecurring, recurrenceRule, exdates, editingPost]);
+
   const loadUpdateSettings = async () => {
     try {
       const settings = await window.ipc.invoke('updater:get-settings');
       setUpdateSettings(settings);
+      setSchedulerSettings(await window.ipc.invoke('scheduler:get-settings'));
+      setApiSettings(await window.ipc.invoke('api:get-settings'));
+      setCalendarSettings(await window.ipc.invoke('calendar:get-settings'));
     } catch (err) {
       console.error('Failed to load update settings:', err);
     }
@@ -70,6 +226,14 @@ export default function Dashboard() {
     try {
       const saved = await window.ipc.invoke('updater:save-settings', updateSettings);
       setUpdateSettings(saved);
+      setSchedulerSettings(await window.ipc.invoke('scheduler:save-settings', {
+        ...schedulerSettings,
+        // Half-filled rows would never match; both ends must use the same form
+        blackouts: (schedulerSettings.blackouts || []).filter(b =>
+          BLACKOUT_DATE.test(b.from) && BLACKOUT_DATE.test(b.to) && b.from.length === b.to.length)
+      }));
+      setApiSettings(await window.ipc.invoke('api:save-settings', apiSettings));
+      setCalendarSettings(await window.ipc.invoke('calendar:save-settings', calendarSettings));
       setShowSettings(false);
     } catch (err) {
       console.error('Failed to save settings:', err);
@@ -108,8 +272,14 @@ export default function Dashboard() {
         return;
       }
       setUser(userData);
+      const accountList = await window.ipc.invoke('auth:get-accounts');
+      setAccounts(accountList);
+      const expired = accountList.find(a => a.sessionExpired);
+      setExpiredAccount(expired ? { accountId: expired.id, displayName: expired.displayName } : null);
+      setOrphanAccountId(accountList.find(a => !a.userId && !a.active)?.id || null);
       fetchGroups(userData.id); // Optimized: pass user id
       fetchPosts();
+      fetchMissedPosts();
     } catch (err) {
       console.error(err);
       router.push('/login');
@@ -135,39 +305,64 @@ export default function Dashboard() {
     }
   };
 
-  const handleGroupChange = async (e) => {
-    const newGroupId = e.target.value;
-    if (!newGroupId) {
-      setGroupId('');
-      return;
-    }
-
-    const fullGroup = groups.find(g => g.groupId === newGroupId);
-    if (!fullGroup) return;
+  const canPostTo = async (targetGroupId) => {
+    const fullGroup = groups.find(g => g.groupId === targetGroupId);
+    if (!fullGroup) return false;
 
     // Check Owner
-    if (fullGroup.isOwner) {
-      setGroupId(newGroupId);
-      return;
-    }
+    if (fullGroup.isOwner) return true;
 
     // Not Owner -> Check Permissions via IPC
     setPermissionChecking(true);
     try {
-      const canPost = await window.ipc.invoke('groups:check-permission', { groupId: newGroupId });
-      if (canPost) {
-        setGroupId(newGroupId);
-      } else {
-        setError('You do not have permission to post to this group (group-announcement-manage required).');
+      const permission = kind === 'event' ? 'group-calendar-manage' : 'group-announcement-manage';
+      const canPost = await window.ipc.invoke('groups:check-permission', { groupId: targetGroupId, permission });
+      if (!canPost) {
+        setError(`You do not have permission to post to ${fullGroup.name} (${permission} required).`);
       }
+      return canPost;
     } catch (err) {
       console.error(err);
-      setError('Failed to check permissions');
+      setError('Failed to check permissions: ' + err.message);
+      return false;
     } finally {
       setPermissionChecking(false);
     }
   };
 
+  const handleGroupChange = async (e) => {
+    const newGroupId = e.target.value;
+    if (!newGroupId) {
+      setGroupId('');
+      return;
+    }
+
+    if (await canPostTo(newGroupId)) {
+      setGroupId(newGroupId);
+      setExtraGroupIds(extraGroupIds.filter(id => id !== newGroupId));
+      setRoleIds([]); // Roles belong to the previous group
+    }
+  };
+
+  // Posts and events need different permissions, so the groups are picked again
+  const handleKindChange = (newKind) => {
+    setKind(newKind);
+    setGroupId('');
+    setExtraGroupIds([]);
+  };
+
+  const handleExtraGroupToggle = async (targetGroupId) => {
+    if (extraGroupIds.includes(targetGroupId)) {
+      setExtraGroupIds(extraGroupIds.filter(id => id !== targetGroupId));
+      return;
+    }
+    if (await canPostTo(targetGroupId)) {
+      setExtraGroupIds([...extraGroupIds, targetGroupId]);
+    }
+  };
+
+  const groupName = (id) => groups.find(g => g.groupId === id)?.name || id;
+
   const fetchPosts = async () => {
     setRefreshing(true);
     try {
@@ -185,7 +380,7 @@ export default function Dashboard() {
 
       // Sort: Recurring/Pending first, then by date desc
       data.sort((a, b) => {
-        const priorityStatus = ['recurring', 'pending'];
+        const priorityStatus = ['recurring', 'paused', 'pending'];
         const aPrio = priorityStatus.includes(a.status);
         const bPrio = priorityStatus.includes(b.status);
 
@@ -195,6 +390,7 @@ export default function Dashboard() {
         return new Date(b.created_at || b.scheduledAt) - new Date(a.created_at || a.scheduledAt);
       });
       setPosts(data);
+      setNextRuns(await window.ipc.invoke('posts:get-next-runs'));
     } catch (err) {
       console.error(err);
       setError('Failed to fetch posts');
@@ -203,7 +399,105 @@ export default function Dashboard() {
     }
   };
 
-  const handleCreate = async (e) => {
+  const resetForm = () => {
+    setTitle('');
+    setText('');
+    setImage(null);
+    setScheduledAt('');
+    setIsRecurring(false);
+    setRecurrenceRule(DEFAULT_RULE);
+    setExdates([]);
+    setCatchUpPolicy('');
+    setCatchUpGraceMinutes(15);
+    setExtraGroupIds([]);
+    setVisibility('public');
+    setRoleIds([]);
+    setExpireAfterMinutes('');
+    setEventFields(DEFAULT_EVENT);
+    setEditingPost(null);
+  };
+
+  const fetchMissedPosts = async () => {
+    try {
+      setMissedPosts(await window.ipc.invoke('posts:get-missed'));
+    } catch (err) {
+      console.error('Failed to fetch missed posts', err);
+    }
+  };
+
+  const handleResolveMissed = async (post, action) => {
+    const value = missedReschedule[post.id];
+    if (action === 'reschedule' && !value) {
+      setError('Pick a new time before rescheduling.');
+      return;
+    }
+
+    try {
+      await window.ipc.invoke('posts:resolve-missed', {
+        id: post.id,
+        action,
+        scheduledAt: value ? new Date(value).toISOString() : null
+      });
+      setMissedPosts(missedPosts.filter(p => p.id !== post.id));
+      fetchPosts();
+    } catch (err) {
+      setError('Error: ' + err.message);
+    }
+  };
+
+  const handlePickImage = async () => {
+    try {
+      const picked = await window.ipc.invoke('images:pick');
+      if (picked) setImage(picked);
+    } catch (err) {
+      setError('Cannot use this image: ' + err.message);
+    }
+  };
+
+  // Resolves the image fields stored on the post, uploading now if requested
+  const prepareImage = async () => {
+    if (!image) return { imageId: null, imagePath: null, imageName: null };
+    // Already attached to the post being edited or cloned: keep as is
+    if (!image.previewUrl) return { imageId: image.imageId || null, imagePath: image.path || null, imageName: image.name };
+    if (imageUploadTiming === 'fire') return { imageId: null, imagePath: image.path, imageName: image.name };
+
+    setUploadingImage(true);
+    try {
+      const imageId = await window.ipc.invoke('images:upload', { path: image.path });
+      return { imageId, imagePath: null, imageName: image.name };
+    } finally {
+      setUploadingImage(false);
+    }
+  };
+
+  const attachedImage = (post) => {
+    if (!post.imageId && !post.imagePath) return null;
+    return { name: post.imageName || post.imageId, path: post.imagePath, imageId: post.imageId };
+  };
+
+  const loadEvent = (post, withEndTime = true) => {
+    setKind(post.kind || 'post');
+    if (post.kind !== 'event') {
+      setEventFields(DEFAULT_EVENT);
+      return;
+    }
+    setEventFields({
+      endTime: withEndTime ? endTimeFromDuration(post.scheduledAt, post.event.durationMinutes, post.timeZone) : '',
+      category: post.event.category || DEFAULT_EVENT.category,
+      publishLeadDays: (post.event.publishLeadMinutes || 0) / 1440
+    });
+  };
+
+  const buildRecurrence = () => {
+    // Skipped dates keep the start time so they line up with occurrences
+    const startTime = scheduledAt.slice(11, 16);
+    return {
+      rrule: buildRRule(recurrenceRule),
+      exdates: exdates.map(d => wallClockToIso(`${d}T${startTime}`, timeZone))
+    };
+  };
+
+  const handleSubmit = async (e) => {
     e.preventDefault();
     if (!groupId || !title || !text || !scheduledAt) return;
     setError('');
@@ -211,35 +505,76 @@ export default function Dashboard() {
     // Prepare recurrence object
     let recurrence = null;
     if (isRecurring) {
-      recurrence = {
-        type: recurrenceType
-      };
-      if (recurrenceType === 'weekly') {
-        if (recurrenceDays.length === 0) {
-          setError('Please select at least one day for weekly recurrence.');
-          return;
-        }
-        recurrence.days = recurrenceDays;
+      if (recurrenceRule.freq === 'WEEKLY' && recurrenceRule.days.length === 0) {
+        setError('Please select at least one day for weekly recurrence.');
+        return;
+      }
+      if (recurrenceRule.endMode === 'until' && !recurrenceRule.until) {
+        setError('Please pick the last date of the recurrence.');
+        return;
       }
+      recurrence = buildRecurrence();
+    }
+
+    const scheduledDate = new Date(wallClockToIso(scheduledAt, timeZone));
+    if (!isRecurring && scheduledDate < new Date()) {
+      setError('Start time must be in the future.');
+      return;
+    }
+    if (kind === 'event' && !eventFields.endTime) {
+      setError('Please set when the event ends.');
+      return;
     }
 
+    let imageFields;
     try {
-      const res = await window.ipc.invoke('posts:create', {
-        groupId,
-        title,
-        text,
-        scheduledAt: new Date(scheduledAt).toISOString(),
-        sendNotification: notification,
-        recurrence,
-        status: isRecurring ? 'recurring' : 'pending'
-      });
+      imageFields = await prepareImage();
+    } catch (err) {
+      setError('Image upload failed: ' + err.message);
+      return;
+    }
+
+    const postData = {
+      kind,
+      event: kind === 'event' ? {
+        durationMinutes: durationFromEndTime(scheduledAt, eventFields.endTime, timeZone),
+        category: eventFields.category,
+        publishLeadMinutes: Math.round(Number(eventFields.publishLeadDays) * 1440)
+      } : null,
+      groupId,
+      groupIds: extraGroupIds.length > 0 ? [groupId, ...extraGroupIds] : null,
+      title,
+      text,
+      ...imageFields,
+      scheduledAt: scheduledDate.toISOString(),
+      timeZone,
+      sendNotification: notification,
+      visibility,
+      roleIds: visibility === 'group' ? roleIds : [],
+      // Names are kept for the post card; role IDs alone mean nothing to people
+      roleNames: visibility === 'group' ? roleIds.map(id => groupRoles.find(r => r.id === id)?.name || id) : [],
+      expireAfterMinutes: kind === 'post' && expireAfterMinutes ? Number(expireAfterMinutes) : null,
+      recurrence,
+      catchUp: catchUpPolicy ? { policy: catchUpPolicy, graceMinutes: Number(catchUpGraceMinutes) } : null,
+      // Editing a paused post doesn't resume it
+      status: isRecurring ? (editingPost?.status === 'paused' ? 'paused' : 'recurring') : 'pending'
+    };
+
+    try {
+      if (editingPost) {
+        const res = await window.ipc.invoke('posts:update', { id: editingPost.id, ...postData });
+        if (res) {
+          resetForm();
+          fetchPosts();
+          alert('Post updated!');
+        }
+        return;
+      }
+
+      const res = await window.ipc.invoke('posts:create', postData);
 
       if (res) { // res is the new post object
-        setTitle('');
-        setText('');
-        setScheduledAt('');
-        setIsRecurring(false);
-        setRecurrenceDays([]);
+        resetForm();
         fetchPosts();
         alert('Post scheduled!');
       }
@@ -264,30 +599,213 @@ export default function Dashboard() {
     }
   };
 
-  const handleRetry = (post) => {
-    let targetGroupId = post.groupId;
-    const groupExists = groups.some(g => g.groupId === targetGroupId);
+  const handleReassignPosts = async () => {
+    const active = accounts.find(a => a.active);
+    if (!confirm(`Post everything the unidentified profile scheduled as ${active?.displayName}?`)) return;
+    try {
+      const moved = await window.ipc.invoke('auth:reassign-posts', { fromAccountId: orphanAccountId });
+      setOrphanAccountId(null);
+      alert(`${moved} post(s) moved to ${active?.displayName}.`);
+      checkAuth();
+    } catch (err) {
+      setError('Failed to move posts: ' + err.message);
+    }
+  };
 
-    if (!groupExists) {
-      const foundByMemberId = groups.find(g => g.id === targetGroupId);
-      if (foundByMemberId) {
-        targetGroupId = foundByMemberId.groupId;
-      }
+  const handleSwitchAccount = async (e) => {
+    const accountId = e.target.value;
+    if (accountId === 'add') {
+      router.push('/login');
+      return;
+    }
+    try {
+      await window.ipc.invoke('auth:switch-account', { accountId });
+      resetForm();
+      setGroupId('');
+      checkAuth();
+    } catch (err) {
+      console.error('Account switch failed', err);
+      setError('Account switch failed: ' + err.message);
+    }
+  };
+
+  const fetchLivePosts = async (targetGroupId = liveGroupId) => {
+    if (!targetGroupId) return;
+    setLiveLoading(true);
+    try {
+      setLivePosts(await window.ipc.invoke('groups:get-live-posts', { groupId: targetGroupId }));
+      fetchPosts(); // Missing posts were flagged on their local records
+    } catch (err) {
+      console.error(err);
+      setError('Failed to fetch live posts: ' + err.message);
+    } finally {
+      setLiveLoading(false);
+    }
+  };
+
+  const handleDeleteLivePost = async (livePost) => {
+    if (!confirm(`Delete "${livePost.title}" from ${groupName(liveGroupId)} on VRChat?`)) return;
+    try {
+      await window.ipc.invoke('groups:delete-live-post', { groupId: liveGroupId, postId: livePost.id });
+      fetchLivePosts();
+    } catch (err) {
+      setError('Delete failed: ' + err.message);
+    }
+  };
+
+  const handleExport = async (format) => {
+    try {
+      const res = await window.ipc.invoke('posts:export', { format });
+      if (!res) return;
+      alert(`Exported ${res.count} post(s) to ${res.path}` +
+        (res.skipped ? `\n${res.skipped} recurring post(s) or event(s) were left out; export as JSON to include them.` : ''));
+    } catch (err) {
+      setError('Export failed: ' + err.message);
+    }
+  };
+
+  const handleExportCalendar = async () => {
+    try {
+      const filePath = await window.ipc.invoke('calendar:export');
+      if (filePath) alert(`Calendar saved to ${filePath}`);
+    } catch (err) {
+      setError('Calendar export failed: ' + err.message);
+    }
+  };
+
+  const updateBlackout = (index, changes) => {
+    setSchedulerSettings({
+      ...schedulerSettings,
+      blackouts: schedulerSettings.blackouts.map((b, i) => (i === index ? { ...b, ...changes } : b))
+    });
+  };
+
+  const updateQuietHours = (id, changes) => {
+    const quietHours = { ...(schedulerSettings.quietHours || {}) };
+    const next = { timeZone: VIEWER_TIME_ZONE, ...quietHours[id], ...changes };
+    if (next.start || next.end) {
+      quietHours[id] = next;
+    } else {
+      delete quietHours[id];
+    }
+    setSchedulerSettings({ ...schedulerSettings, quietHours });
+  };
+
+  const handlePickCalendarPath = async () => {
+    const filePath = await window.ipc.invoke('calendar:pick-auto-export-path');
+    if (filePath) setCalendarSettings({ ...calendarSettings, autoExportPath: filePath });
+  };
+
+  const handleImport = async () => {
+    try {
+      const plan = await window.ipc.invoke('posts:import', {});
+      if (plan) setImportPlan(plan);
+    } catch (err) {
+      setError('Import failed: ' + err.message);
+    }
+  };
+
+  const handleConfirmImport = async () => {
+    try {
+      const res = await window.ipc.invoke('posts:import', { token: importPlan.token });
+      setImportPlan(null);
+      fetchPosts();
+      alert(`Imported: ${res.added} added, ${res.updated} updated, ${res.skipped} skipped.`);
+    } catch (err) {
+      setError('Import failed: ' + err.message);
+    }
+  };
+
+  // Posts without a pending run keep the status order after the ones that have one
+  const sortedPosts = sortBy === 'next'
+    ? [...posts].sort((a, b) => {
+      const aNext = nextRuns[a.id] ? new Date(nextRuns[a.id]).getTime() : Infinity;
+      const bNext = nextRuns[b.id] ? new Date(nextRuns[b.id]).getTime() : Infinity;
+      return aNext - bNext;
+    })
+    : posts;
+
+  const localTitle = (localId) => posts.find(p => p.id === localId)?.title;
+
+  // Remote bookkeeping sits on the post, or per group for broadcasts
+  const isRemoteMissing = (post) => !!post.remoteMissingAt ||
+    Object.values(post.groupResults || {}).some(r => r.remoteMissingAt);
+
+  const accountName = (accountId) => accounts.find(a => a.id === accountId)?.displayName || 'logged-out account';
+
+  // Older posts may have stored the member id instead of the group id
+  const resolveGroupId = (post) => {
+    if (groups.some(g => g.groupId === post.groupId)) return post.groupId;
+    const foundByMemberId = groups.find(g => g.id === post.groupId);
+    return foundByMemberId ? foundByMemberId.groupId : post.groupId;
+  };
+
+  const extraGroupsOf = (post) => (post.groupIds || []).filter(id => id !== post.groupId);
+
+  const handleRetryFailedGroups = async (post) => {
+    try {
+      await window.ipc.invoke('posts:retry-failed-groups', { id: post.id });
+    } catch (err) {
+      setError('Retry failed: ' + err.message);
+    }
+    fetchPosts();
+  };
+
+  const handlePause = async (post) => {
+    try {
+      await window.ipc.invoke('posts:pause', { id: post.id });
+    } catch (err) {
+      setError('Pause failed: ' + err.message);
+    }
+    fetchPosts();
+  };
+
+  const handleResume = async (post, catchUp) => {
+    try {
+      const res = await window.ipc.invoke('posts:resume', { id: post.id, catchUp });
+      if (catchUp && !res.caughtUp) alert('Nothing was missed while paused.');
+    } catch (err) {
+      setError('Resume failed: ' + err.message);
+    }
+    fetchPosts();
+  };
+
+  const handleRestore = async (post) => {
+    try {
+      const restored = await window.ipc.invoke('posts:restore', { id: post.id });
+      if (restored.status === 'missed') alert('Restored, but its scheduled time has passed; it is listed as missed.');
+    } catch (err) {
+      setError('Restore failed: ' + err.message);
     }
+    fetchPosts();
+  };
 
-    setGroupId(targetGroupId);
+  const handleRetry = (post) => {
+    setEditingPost(null);
+    setGroupId(resolveGroupId(post));
+    setExtraGroupIds(extraGroupsOf(post));
     setTitle(post.title);
     setText(post.text);
     setNotification(post.sendNotification || false);
+    setVisibility(post.visibility || 'public');
+    setRoleIds(post.roleIds || []);
+    setExpireAfterMinutes(post.expireAfterMinutes || '');
+    setImage(attachedImage(post));
     setScheduledAt('');
+    loadEvent(post, false);
 
     setError('');
   };
 
   const handleLogout = async () => {
     try {
-      await window.ipc.invoke('auth:logout');
-      router.push('/login');
+      const remaining = await window.ipc.invoke('auth:logout');
+      if (remaining.length === 0) {
+        router.push('/login');
+        return;
+      }
+      resetForm();
+      checkAuth(); // Another account took over
     } catch (err) {
       console.error('Logout failed', err);
       setError('Logout failed: ' + err.message);
@@ -295,50 +813,85 @@ export default function Dashboard() {
   };
 
   const handleClone = (post) => {
-    let targetGroupId = post.groupId;
-    const groupExists = groups.some(g => g.groupId === targetGroupId);
-
-    if (!groupExists) {
-      const foundByMemberId = groups.find(g => g.id === targetGroupId);
-      if (foundByMemberId) {
-        targetGroupId = foundByMemberId.groupId;
-      }
-    }
-
-    setGroupId(targetGroupId);
+    setEditingPost(null);
+    setGroupId(resolveGroupId(post));
+    setExtraGroupIds(extraGroupsOf(post));
     setTitle(post.title);
     setText(post.text);
     setNotification(post.sendNotification || false);
+    setVisibility(post.visibility || 'public');
+    setRoleIds(post.roleIds || []);
+    setExpireAfterMinutes(post.expireAfterMinutes || '');
+    setImage(attachedImage(post));
     setScheduledAt(''); // Reset time for new schedule
+    setTimeZone(post.timeZone || VIEWER_TIME_ZONE);
+    loadEvent(post, false);
 
     // Handle Recurrence
-    if (post.recurrence) {
+    loadRecurrence(post);
+    setCatchUpPolicy(post.catchUp?.policy || '');
+    setCatchUpGraceMinutes(post.catchUp?.graceMinutes ?? 15);
+
+    setError('');
+    // Scroll to top to see form
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const handleEdit = (post) => {
+    setEditingPost(post);
+    setGroupId(resolveGroupId(post));
+    setExtraGroupIds(extraGroupsOf(post));
+    setTitle(post.title);
+    setText(post.text);
+    setNotification(post.sendNotification || false);
+    setVisibility(post.visibility || 'public');
+    setRoleIds(post.roleIds || []);
+    setExpireAfterMinutes(post.expireAfterMinutes || '');
+    setImage(attachedImage(post));
+
+    setTimeZone(post.timeZone || VIEWER_TIME_ZONE);
+    setScheduledAt(isoToWallClock(post.scheduledAt, post.timeZone));
+    loadEvent(post);
+
+    loadRecurrence(post);
+    setCatchUpPolicy(post.catchUp?.policy || '');
+    setCatchUpGraceMinutes(post.catchUp?.graceMinutes ?? 15);
+
+    setError('');
+    window.scrollTo({ top: 0, behavior: 'smooth' });
+  };
+
+  const loadRecurrence = (post) => {
+    if (post.recurrence?.rrule) {
       setIsRecurring(true);
-      setRecurrenceType(post.recurrence.type);
-      setRecurrenceDays(post.recurrence.days || []);
+      setRecurrenceRule(parseRRule(post.recurrence.rrule));
+      setExdates((post.recurrence.exdates || []).map(d => isoToWallClock(d, post.timeZone).slice(0, 10)));
     } else {
       setIsRecurring(false);
-      setRecurrenceDays([]);
-    }
-
-    // If it's a recurring parent status, treat as recurring
-    if (post.status === 'recurring' && !post.recurrence) {
-      // Should have recurrence obj if status is recurring, but just in case
+      setRecurrenceRule(DEFAULT_RULE);
+      setExdates([]);
     }
+  };
 
-    setError('');
-    // Scroll to top to see form
-    window.scrollTo({ top: 0, behavior: 'smooth' });
+  const updateRule = (changes) => {
+    setRecurrenceRule({ ...recurrenceRule, ...changes });
   };
 
   const handleDayToggle = (dayIndex) => {
-    if (recurrenceDays.includes(dayIndex)) {
-      setRecurrenceDays(recurrenceDays.filter(d => d !== dayIndex));
+    const days = recurrenceRule.days;
+    if (days.includes(dayIndex)) {
+      updateRule({ days: days.filter(d => d !== dayIndex) });
     } else {
-      setRecurrenceDays([...recurrenceDays, dayIndex]);
+      updateRule({ days: [...days, dayIndex] });
     }
   };
 
+  const handleAddExdate = () => {
+    if (!exdateInput || exdates.includes(exdateInput)) return;
+    setExdates([...exdates, exdateInput].sort());
+    setExdateInput('');
+  };
+
   if (loading) return <div className={styles.container}>Loading...</div>;
   if (!user) return null;
 
@@ -347,6 +900,14 @@ export default function Dashboard() {
       <header className={styles.header}>
         <div className={styles.title}>VRChat Scheduler (Local)</div>
         <div className={styles.userInfo}>
+          {queueStats?.pausedUntil && (
+            <span className={styles.queueInfo} title="VRChat asked us to slow down">
+              ⏸ API paused until {new Date(queueStats.pausedUntil).toLocaleTimeString()}
+            </span>
+          )}
+          {!queueStats?.pausedUntil && queueStats?.queued > 0 && (
+            <span className={styles.queueInfo}>⏳ {queueStats.queued} API request(s) queued</span>
+          )}
           <span className={styles.versionInfo}>v{updateInfo?.currentVersion || '1.0.0'}</span>
           <button
             className={styles.settingsBtn}
@@ -355,7 +916,17 @@ export default function Dashboard() {
           >
             ⚙
           </button>
-          <span className={styles.username}>{user.displayName}</span>
+          <select
+            className={styles.accountSelect}
+            value={accounts.find(a => a.active)?.id || ''}
+            onChange={handleSwitchAccount}
+            title="Switch account"
+          >
+            {accounts.map(account => (
+              <option key={account.id} value={account.id}>{account.displayName}</option>
+            ))}
+            <option value="add">+ Add account</option>
+          </select>
           <img src={user.userIcon || 'https://assets.vrchat.com/www/images/default_avatar.png'} className={styles.avatar} alt="Avatar" />
           <button onClick={handleLogout} className={styles.logoutBtn} style={{ marginLeft: '1rem', padding: '0.25rem 0.5rem', fontSize: '0.8rem', backgroundColor: '#e53e3e', color: 'white', border: 'none', borderRadius: '4px', cursor: 'pointer' }}>
             Logout
@@ -370,33 +941,88 @@ export default function Dashboard() {
         </div>
       )}
 
-      {showUpdateBanner && updateInfo && (
-        <div className={styles.updateBanner}>
+      {expiredAccount && (
+        <div className={`${styles.updateBanner} ${styles.sessionBanner}`}>
+          <div className={styles.updateBannerInfo}>
+            <div className={styles.updateBannerTitle}>🔒 Session expired: {expiredAccount.displayName || 'VRChat account'}</div>
+            <div className={styles.updateBannerMeta}>
+              Posts due for this account are waiting. Log in again to send them or reschedule the late ones.
+            </div>
+          </div>
+          <div className={styles.updateBannerActions}>
+            <button className={styles.updateDownloadBtn} onClick={() => router.push('/login')}>
+              Log in again
+            </button>
+            <button className={styles.updateDismissBtn} onClick={() => setExpiredAccount(null)}>
+              Later
+            </button>
+          </div>
+        </div>
+      )}
+
+      {orphanAccountId && (
+        <div className={`${styles.updateBanner} ${styles.sessionBanner}`}>
           <div className={styles.updateBannerInfo}>
             <div className={styles.updateBannerTitle}>
-              🚀 新しいバージョンが利用可能です
-              {updateInfo.isBeta && <span className={styles.betaBadge}>BETA</span>}
+              👤 {posts.filter(p => p.accountId === orphanAccountId).length} post(s) belong to an unidentified account
             </div>
             <div className={styles.updateBannerMeta}>
-              v{updateInfo.currentVersion} → v{updateInfo.latestVersion}
-              {updateInfo.releaseNotes && ` — ${updateInfo.releaseNotes.split('\n')[0].substring(0, 80)}`}
+              They were scheduled before multiple accounts were supported, and that session has expired.
+              Switch to the account that made them (add it if needed), then move them there.
+              Active now: {accounts.find(a => a.active)?.displayName}.
             </div>
           </div>
           <div className={styles.updateBannerActions}>
-            <button className={styles.updateDownloadBtn} onClick={handleOpenDownload}>
-              ダウンロード
+            <button className={styles.updateDownloadBtn} onClick={handleReassignPosts}>
+              Move to this account
             </button>
-            <button className={styles.updateDismissBtn} onClick={() => setShowUpdateBanner(false)}>
-              後で
+            <button className={styles.updateDismissBtn} onClick={() => setOrphanAccountId(null)}>
+              Later
             </button>
           </div>
         </div>
       )}
 
-      <div className={styles.grid}>
+      {showUpdateBanner && updateInfo && (
+        <div className={styles.updateBanner}>
+          <div className={styles.updateBannerInfo}>
+            <div className={styles.updateBannerTitle}>
+              🚀 新しいバージョンが利用可能です
+              {updateInfo.isBeta && <span className={styles.betaBadge}>BETA</span>}
+            </div>
+            <div className={styles.updateBannerMeta}>
+              v{updateInfo.currentVersion} → v{updateInfo.latestVersion}
+              {updateInfo.releaseNotes && ` — ${updateInfo.releaseNotes.split('\n')[0].substring(0, 80)}`}
+            </div>
+          </div>
+          <div className={styles.updateBannerActions}>
+            <button className={styles.updateDownloadBtn} onClick={handleOpenDownload}>
+              ダウンロード
+            </button>
+            <button className={styles.updateDismissBtn} onClick={() => setShowUpdateBanner(false)}>
+              後で
+            </button>
+          </div>
+        </div>
+      )}
+
+      <div className={styles.grid}>
         <section className={styles.card}>
-          <h2 className={styles.cardTitle}>New Scheduled Post</h2>
-          <form onSubmit={handleCreate}>
+          <h2 className={styles.cardTitle}>{editingPost ? 'Edit Scheduled Post' : 'New Scheduled Post'}</h2>
+          <form onSubmit={handleSubmit}>
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Type</label>
+              <select
+                className={styles.select}
+                value={kind}
+                onChange={e => handleKindChange(e.target.value)}
+                disabled={!!editingPost}
+              >
+                <option value="post">Group post</option>
+                <option value="event">Calendar event</option>
+              </select>
+            </div>
+
             <div className={styles.formGroup}>
               <label className={styles.label}>Group</label>
               <select
@@ -413,6 +1039,22 @@ export default function Dashboard() {
                   </option>
                 ))}
               </select>
+              {groupId && groups.length > 1 && roleIds.length === 0 && (
+                <div className={styles.broadcastGroups}>
+                  <span className={styles.zoneHint}>Also post to:</span>
+                  {groups.filter(g => g.groupId !== groupId).map(g => (
+                    <label key={g.id} className={styles.broadcastOption}>
+                      <input
+                        type="checkbox"
+                        checked={extraGroupIds.includes(g.groupId)}
+                        disabled={permissionChecking}
+                        onChange={() => handleExtraGroupToggle(g.groupId)}
+                      />
+                      {g.name}
+                    </label>
+                  ))}
+                </div>
+              )}
             </div>
 
             <div className={styles.formGroup}>
@@ -426,7 +1068,7 @@ export default function Dashboard() {
             </div>
 
             <div className={styles.formGroup}>
-              <label className={styles.label}>Message</label>
+              <label className={styles.label}>{kind === 'event' ? 'Description' : 'Message'}</label>
               <textarea
                 className={styles.textarea}
                 value={text}
@@ -435,17 +1077,116 @@ export default function Dashboard() {
               />
             </div>
 
+            <div className={styles.templateHelp}>
+              Placeholders: {'{date}'} {'{time}'} {'{weekday}'} {'{occurrence}'} {'{group.name}'}
+            </div>
+
+            {preview && (
+              <div className={styles.templatePreview}>
+                <div className={styles.zoneHint}>Next posting ({formatInZone(preview.occurrenceAt, timeZone)}):</div>
+                <div className={styles.postTitle}>{preview.title}</div>
+                <div style={{ whiteSpace: 'pre-wrap' }}>{preview.text}</div>
+              </div>
+            )}
+
             <div className={styles.formGroup}>
-              <label className={styles.label}>Start Time (First Execution)</label>
-              <input
-                type="datetime-local"
-                className={styles.input}
-                value={scheduledAt}
-                onChange={e => setScheduledAt(e.target.value)}
-                required
-              />
+              <label className={styles.label}>Image (optional)</label>
+              {image ? (
+                <div className={styles.imageAttachment}>
+                  {image.previewUrl && <img src={image.previewUrl} className={styles.imagePreview} alt="Preview" />}
+                  <div style={{ flex: 1 }}>
+                    <div>{image.name}</div>
+                    <div className={styles.zoneHint}>
+                      {image.imageId ? 'Uploaded to VRChat' : image.size ? `${(image.size / 1024 / 1024).toFixed(1)} MB` : 'Uploads before posting'}
+                    </div>
+                    {!image.imageId && image.previewUrl && (
+                      <select
+                        className={styles.select}
+                        style={{ fontSize: '0.8rem', padding: '0.3rem', marginTop: '0.3rem' }}
+                        value={imageUploadTiming}
+                        onChange={e => setImageUploadTiming(e.target.value)}
+                      >
+                        <option value="schedule">Upload now</option>
+                        <option value="fire">Upload just before posting</option>
+                      </select>
+                    )}
+                  </div>
+                  <button type="button" className={styles.deleteBtn} onClick={() => setImage(null)} title="Remove Image">×</button>
+                </div>
+              ) : (
+                <button type="button" className={styles.cancelEditBtn} style={{ marginTop: 0 }} onClick={handlePickImage}>
+                  Choose PNG / JPEG…
+                </button>
+              )}
             </div>
 
+            <div className={styles.formGroup}>
+              <label className={styles.label}>{kind === 'event' ? 'Event Start (First Occurrence)' : 'Start Time (First Execution)'}</label>
+              <div style={{ display: 'flex', gap: '0.5rem' }}>
+                <input
+                  type="datetime-local"
+                  className={styles.input}
+                  value={scheduledAt}
+                  onChange={e => setScheduledAt(e.target.value)}
+                  required
+                />
+                <select
+                  className={styles.select}
+                  style={{ width: 'auto' }}
+                  value={timeZone}
+                  onChange={e => setTimeZone(e.target.value)}
+                  title="Time zone the schedule follows (including DST changes)"
+                >
+                  {TIME_ZONES.map(zone => <option key={zone} value={zone}>{zone}</option>)}
+                </select>
+              </div>
+              {scheduledAt && timeZone !== VIEWER_TIME_ZONE && (
+                <div className={styles.zoneHint}>
+                  = {formatInZone(wallClockToIso(scheduledAt, timeZone))} (your time)
+                </div>
+              )}
+            </div>
+
+            {kind === 'event' && (
+              <div className={styles.formGroup} style={{ display: 'flex', gap: '0.5rem', flexWrap: 'wrap' }}>
+                <div>
+                  <label className={styles.label} style={{ fontSize: '0.9rem' }}>Ends at</label>
+                  <input
+                    type="time"
+                    className={styles.input}
+                    value={eventFields.endTime}
+                    onChange={e => setEventFields({ ...eventFields, endTime: e.target.value })}
+                    required
+                  />
+                </div>
+                <div>
+                  <label className={styles.label} style={{ fontSize: '0.9rem' }}>Category</label>
+                  <select
+                    className={styles.select}
+                    value={eventFields.category}
+                    onChange={e => setEventFields({ ...eventFields, category: e.target.value })}
+                  >
+                    {EVENT_CATEGORIES.map(c => <option key={c.value} value={c.value}>{c.label}</option>)}
+                  </select>
+                </div>
+                <div>
+                  <label className={styles.label} style={{ fontSize: '0.9rem' }}>Publish ahead (days)</label>
+                  <input
+                    type="number"
+                    min="0"
+                    step="0.5"
+                    className={styles.input}
+                    value={eventFields.publishLeadDays}
+                    onChange={e => setEventFields({ ...eventFields, publishLeadDays: e.target.value })}
+                    required
+                  />
+                </div>
+                <div className={styles.zoneHint} style={{ width: '100%' }}>
+                  Ending earlier than the start time means the next day. Each occurrence goes on the group calendar this many days before it starts.
+                </div>
+              </div>
+            )}
+
             <div className={styles.formGroup}>
               <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
                 <input
@@ -459,31 +1200,44 @@ export default function Dashboard() {
 
               {isRecurring && (
                 <div style={{ marginLeft: '1.5rem', padding: '0.5rem', background: '#2d3748', borderRadius: '4px' }}>
-                  <div style={{ marginBottom: '0.5rem' }}>
-                    <label className={styles.label} style={{ fontSize: '0.9rem' }}>Frequency</label>
-                    <select
-                      className={styles.select}
-                      style={{ fontSize: '0.9rem', padding: '0.4rem' }}
-                      value={recurrenceType}
-                      onChange={e => setRecurrenceType(e.target.value)}
-                    >
-                      <option value="daily">Daily</option>
-                      <option value="weekly">Weekly</option>
-                      <option value="monthly">Monthly</option>
-                    </select>
+                  <div className={styles.recurRow}>
+                    <div style={{ flex: 1 }}>
+                      <label className={styles.label} style={{ fontSize: '0.9rem' }}>Frequency</label>
+                      <select
+                        className={styles.select}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem' }}
+                        value={recurrenceRule.freq}
+                        onChange={e => updateRule({ freq: e.target.value })}
+                      >
+                        <option value="DAILY">Daily</option>
+                        <option value="WEEKLY">Weekly</option>
+                        <option value="MONTHLY">Monthly</option>
+                      </select>
+                    </div>
+                    <div>
+                      <label className={styles.label} style={{ fontSize: '0.9rem' }}>Every</label>
+                      <input
+                        type="number"
+                        min="1"
+                        className={styles.input}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem', width: '5rem' }}
+                        value={recurrenceRule.interval}
+                        onChange={e => updateRule({ interval: e.target.value })}
+                      />
+                    </div>
                   </div>
 
-                  {recurrenceType === 'weekly' && (
+                  {recurrenceRule.freq === 'WEEKLY' && (
                     <div>
                       <label className={styles.label} style={{ fontSize: '0.9rem' }}>Days</label>
                       <div style={{ display: 'flex', gap: '0.3rem', flexWrap: 'wrap' }}>
-                        {['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'].map((day, idx) => (
+                        {DAY_LABELS.map((day, idx) => (
                           <button
                             key={day}
                             type="button"
                             onClick={() => handleDayToggle(idx)}
                             style={{
-                              background: recurrenceDays.includes(idx) ? '#63b3ed' : '#4a5568',
+                              background: recurrenceRule.days.includes(idx) ? '#63b3ed' : '#4a5568',
                               color: '#fff',
                               border: 'none',
                               borderRadius: '3px',
@@ -498,13 +1252,198 @@ export default function Dashboard() {
                       </div>
                     </div>
                   )}
+
+                  {recurrenceRule.freq === 'MONTHLY' && (
+                    <div className={styles.recurRow}>
+                      <select
+                        className={styles.select}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem' }}
+                        value={recurrenceRule.monthlyMode}
+                        onChange={e => updateRule({ monthlyMode: e.target.value })}
+                      >
+                        <option value="date">Same day of month as Start Time</option>
+                        <option value="weekday">On a weekday of the month</option>
+                      </select>
+                      {recurrenceRule.monthlyMode === 'weekday' && (
+                        <>
+                          <select
+                            className={styles.select}
+                            style={{ fontSize: '0.9rem', padding: '0.4rem', width: 'auto' }}
+                            value={recurrenceRule.setPos}
+                            onChange={e => updateRule({ setPos: Number(e.target.value) })}
+                          >
+                            {SET_POSITIONS.map(p => <option key={p.value} value={p.value}>{p.label}</option>)}
+                          </select>
+                          <select
+                            className={styles.select}
+                            style={{ fontSize: '0.9rem', padding: '0.4rem', width: 'auto' }}
+                            value={recurrenceRule.weekday}
+                            onChange={e => updateRule({ weekday: Number(e.target.value) })}
+                          >
+                            {DAY_LABELS.map((day, idx) => <option key={day} value={idx}>{day}</option>)}
+                          </select>
+                        </>
+                      )}
+                    </div>
+                  )}
+
+                  <div className={styles.recurRow}>
+                    <div style={{ flex: 1 }}>
+                      <label className={styles.label} style={{ fontSize: '0.9rem' }}>Ends</label>
+                      <select
+                        className={styles.select}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem' }}
+                        value={recurrenceRule.endMode}
+                        onChange={e => updateRule({ endMode: e.target.value })}
+                      >
+                        <option value="never">Never</option>
+                        <option value="until">On date</option>
+                        <option value="count">After a number of times</option>
+                      </select>
+                    </div>
+                    {recurrenceRule.endMode === 'until' && (
+                      <input
+                        type="date"
+                        className={styles.input}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem', width: 'auto', alignSelf: 'flex-end' }}
+                        value={recurrenceRule.until}
+                        onChange={e => updateRule({ until: e.target.value })}
+                      />
+                    )}
+                    {recurrenceRule.endMode === 'count' && (
+                      <input
+                        type="number"
+                        min="1"
+                        className={styles.input}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem', width: '5rem', alignSelf: 'flex-end' }}
+                        value={recurrenceRule.count}
+                        onChange={e => updateRule({ count: e.target.value })}
+                      />
+                    )}
+                  </div>
+
+                  <div>
+                    <label className={styles.label} style={{ fontSize: '0.9rem' }}>Skip Dates</label>
+                    <div className={styles.recurRow}>
+                      <input
+                        type="date"
+                        className={styles.input}
+                        style={{ fontSize: '0.9rem', padding: '0.4rem', width: 'auto' }}
+                        value={exdateInput}
+                        onChange={e => setExdateInput(e.target.value)}
+                      />
+                      <button type="button" className={styles.retryBtn} style={{ fontSize: '0.9rem' }} onClick={handleAddExdate}>
+                        + Add
+                      </button>
+                    </div>
+                    <div style={{ display: 'flex', gap: '0.3rem', flexWrap: 'wrap' }}>
+                      {exdates.map(d => (
+                        <span key={d} className={styles.exdateChip}>
+                          {d}
+                          <button type="button" onClick={() => setExdates(exdates.filter(x => x !== d))}>×</button>
+                        </span>
+                      ))}
+                    </div>
+                  </div>
+
                   <div style={{ marginTop: '0.5rem', fontSize: '0.8rem', color: '#a0aec0' }}>
-                    Will repeat at the same time as "Start Time".
+                    {describeRecurrence({ rrule: buildRRule(recurrenceRule), exdates })} — at the same time as "Start Time".
                   </div>
                 </div>
               )}
+
+              {upcoming.length > 0 && (isRecurring || kind === 'event') && (
+                <div className={styles.upcomingRuns}>
+                  <div className={styles.zoneHint}>{kind === 'event' ? 'Published to the calendar:' : 'Next runs:'}</div>
+                  {upcoming.map(run => (
+                    <div key={run.occurrenceAt} className={styles.zoneHint}>
+                      {formatInZone(run.fireAt, timeZone)} ({formatTimeUntil(run.fireAt, now)})
+                      {run.fireAt !== run.occurrenceAt && ` — starts ${formatInZone(run.occurrenceAt, timeZone)}`}
+                    </div>
+                  ))}
+                </div>
+              )}
             </div>
 
+            <div className={styles.formGroup}>
+              <label className={styles.label}>If Missed While App Was Closed</label>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <select
+                  className={styles.select}
+                  value={catchUpPolicy}
+                  onChange={e => setCatchUpPolicy(e.target.value)}
+                >
+                  <option value="">Use default setting</option>
+                  <option value="skip">Skip</option>
+                  <option value="grace">Post immediately if late by less than…</option>
+                  <option value="ask">Ask me on startup</option>
+                </select>
+                {catchUpPolicy === 'grace' && (
+                  <>
+                    <input
+                      type="number"
+                      min="1"
+                      className={styles.input}
+                      style={{ width: '5rem' }}
+                      value={catchUpGraceMinutes}
+                      onChange={e => setCatchUpGraceMinutes(e.target.value)}
+                      required
+                    />
+                    <span style={{ color: '#a0aec0' }}>min</span>
+                  </>
+                )}
+              </div>
+            </div>
+
+            <div className={styles.formGroup}>
+              <label className={styles.label}>Visibility</label>
+              <select
+                className={styles.select}
+                value={visibility}
+                onChange={e => {
+                  setVisibility(e.target.value);
+                  if (e.target.value === 'public') setRoleIds([]);
+                }}
+              >
+                <option value="public">Public (anyone who can see the group)</option>
+                <option value="group">Group members only</option>
+              </select>
+              {visibility === 'group' && groupRoles.length > 0 && (
+                <div className={styles.broadcastGroups}>
+                  <span className={styles.zoneHint}>Only these roles (none = all members):</span>
+                  {groupRoles.map(role => (
+                    <label key={role.id} className={styles.broadcastOption}>
+                      <input
+                        type="checkbox"
+                        checked={roleIds.includes(role.id)}
+                        disabled={extraGroupIds.length > 0}
+                        onChange={() => setRoleIds(roleIds.includes(role.id)
+                          ? roleIds.filter(id => id !== role.id)
+                          : [...roleIds, role.id])}
+                      />
+                      {role.name}
+                    </label>
+                  ))}
+                  {extraGroupIds.length > 0 && (
+                    <span className={styles.zoneHint}>Roles can't be combined with posting to other groups.</span>
+                  )}
+                </div>
+              )}
+            </div>
+
+            {kind === 'post' && (
+              <div className={styles.formGroup}>
+                <label className={styles.label}>Delete from VRChat After</label>
+                <select
+                  className={styles.select}
+                  value={expireAfterMinutes}
+                  onChange={e => setExpireAfterMinutes(e.target.value)}
+                >
+                  {EXPIRY_OPTIONS.map(o => <option key={o.label} value={o.minutes}>{o.label}</option>)}
+                </select>
+              </div>
+            )}
+
             <div className={styles.formGroup} style={{ display: 'flex', gap: '0.5rem' }}>
               <input
                 type="checkbox"
@@ -512,10 +1451,19 @@ export default function Dashboard() {
                 checked={notification}
                 onChange={e => setNotification(e.target.checked)}
               />
-              <label htmlFor="noti" style={{ marginBottom: 0, color: '#fff' }}>Send Notification to Group</label>
+              <label htmlFor="noti" style={{ marginBottom: 0, color: '#fff' }}>
+                {kind === 'event' ? 'Notify Group Followers' : 'Send Notification to Group'}
+              </label>
             </div>
 
-            <button type="submit" className={styles.button}>Schedule Post</button>
+            <button type="submit" className={styles.button} disabled={uploadingImage}>
+              {uploadingImage ? 'Uploading image...' : editingPost ? 'Update Post' : kind === 'event' ? 'Schedule Event' : 'Schedule Post'}
+            </button>
+            {editingPost && (
+              <button type="button" className={styles.cancelEditBtn} onClick={resetForm}>
+                Cancel Edit
+              </button>
+            )}
           </form>
         </section>
 
@@ -531,6 +1479,42 @@ export default function Dashboard() {
                 onClick={fetchPosts}
               >Refresh</button>
 
+              {!showTrash && (
+                <>
+                  <select
+                    className={styles.select}
+                    style={{ width: 'auto', fontSize: '0.85rem', padding: '0.3rem', marginRight: '0.5rem' }}
+                    value={sortBy}
+                    onChange={e => setSortBy(e.target.value)}
+                    title="Sort posts"
+                  >
+                    <option value="status">Sort: status</option>
+                    <option value="next">Sort: next run</option>
+                  </select>
+                  <button className={styles.deleteBtn} style={{ fontSize: '0.9rem', color: '#63b3ed' }} onClick={handleImport}>
+                    Import
+                  </button>
+                  <button className={styles.deleteBtn} style={{ fontSize: '0.9rem', color: '#63b3ed' }} onClick={() => handleExport('json')}>
+                    Export JSON
+                  </button>
+                  <button
+                    className={styles.deleteBtn}
+                    style={{ fontSize: '0.9rem', color: '#63b3ed', marginRight: '1rem' }}
+                    onClick={() => handleExport('csv')}
+                  >
+                    Export CSV
+                  </button>
+                  <button
+                    className={styles.deleteBtn}
+                    style={{ fontSize: '0.9rem', color: '#63b3ed', marginRight: '1rem' }}
+                    onClick={handleExportCalendar}
+                    title="Save upcoming posts as an .ics file for calendar apps"
+                  >
+                    Export to Calendar
+                  </button>
+                </>
+              )}
+
               <button
                 className={`${styles.trashToggle} ${showTrash ? styles.trashToggleActive : ''}`}
                 onClick={() => setShowTrash(!showTrash)}
@@ -542,28 +1526,135 @@ export default function Dashboard() {
 
           <div className={styles.postList}>
             {posts.length === 0 && <p style={{ color: '#718096' }}>No posts found.</p>}
-            {posts.map(post => (
+            {sortedPosts.map(post => (
               <div key={post.id} className={styles.postItem} style={post.status === 'recurring' ? { borderLeft: '4px solid #63b3ed', background: '#2a4365' } : {}}>
                 <div className={styles.postInfo}>
                   <div className={styles.postTitle}>
                     {post.status === 'recurring' && <span style={{ fontSize: '0.8rem', background: '#3182ce', padding: '2px 6px', borderRadius: '4px', marginRight: '6px' }}>Repeat</span>}
+                    {post.kind === 'event' && <span className={styles.eventBadge}>📅 Event</span>}
                     {post.title}
+                    {post.imageName && <span className={styles.zoneHint} title={post.imageId || 'Uploads before posting'}> 🖼 {post.imageName}</span>}
                   </div>
                   <div className={styles.postMeta}>
-                    {new Date(post.scheduledAt).toLocaleString()} • {post.groupId}
+                    {formatInZone(post.scheduledAt, post.timeZone)} • {post.groupId}
+                    {accounts.length > 1 && post.accountId && ` • 👤 ${accountName(post.accountId)}`}
+                    {post.visibility === 'group' && (
+                      <span className={styles.visibilityBadge}>
+                        🔒 {post.roleNames?.length ? post.roleNames.join(', ') : 'Members only'}
+                      </span>
+                    )}
+                    {post.timeZone && post.timeZone !== VIEWER_TIME_ZONE && (
+                      <div className={styles.zoneHint}>{formatInZone(post.scheduledAt)} (your time)</div>
+                    )}
+                    {post.status === 'paused' && post.pausedAt && (
+                      <div className={styles.zoneHint}>⏸ Paused {formatInZone(post.pausedAt, post.timeZone)}</div>
+                    )}
+                    {post.status === 'skipped' && post.skipReason && (
+                      <div className={styles.zoneHint}>⏭ Skipped: {post.skipReason}</div>
+                    )}
                     {post.recurrence && (
                       <div style={{ color: '#90cdf4', fontSize: '0.85rem', marginTop: '2px' }}>
-                        ↻ {post.recurrence.type.charAt(0).toUpperCase() + post.recurrence.type.slice(1)}
-                        {post.recurrence.type === 'weekly' && post.recurrence.days && ` (${post.recurrence.days.map(d => ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'][d]).join(', ')})`}
+                        ↻ {describeRecurrence(post.recurrence)}
+                      </div>
+                    )}
+                    {nextRuns[post.id] && (
+                      <div className={styles.nextRun} title={formatInZone(nextRuns[post.id], post.timeZone)}>
+                        next: {formatTimeUntil(nextRuns[post.id], now)}
+                      </div>
+                    )}
+                    {post.kind === 'event' && post.event && (
+                      <div className={styles.zoneHint}>
+                        Ends {endTimeFromDuration(post.occurrenceAt || post.scheduledAt, post.event.durationMinutes, post.timeZone)}
+                        {' • '}{categoryLabel(post.event.category)}
+                        {post.event.publishLeadMinutes > 0 && ` • published ${post.event.publishLeadMinutes / 1440} day(s) ahead`}
+                      </div>
+                    )}
+                    {isRemoteMissing(post) && (
+                      <div className={styles.postError}>⚠ No longer on VRChat (deleted outside this app?)</div>
+                    )}
+                    {(post.expiredAt || post.remoteDeletedAt) && (
+                      <div className={styles.zoneHint}>🗑 Removed from VRChat {formatInZone(post.expiredAt || post.remoteDeletedAt, post.timeZone)}</div>
+                    )}
+                    {post.expiresAt && !post.expiredAt && (
+                      <div className={styles.zoneHint}>
+                        ⏳ Removed from VRChat {formatInZone(post.expiresAt, post.timeZone)}
+                        {post.expiryError && <span className={styles.postError}> — last attempt failed: {post.expiryError}</span>}
+                      </div>
+                    )}
+                    {['retrying', 'failed', 'waiting-auth'].includes(post.status) && post.error && (
+                      <div className={styles.postError}>
+                        {post.errorKind && `[${post.errorKind}] `}{post.error}
+                        {post.status === 'retrying' && post.nextRetryAt && ` — next try ${new Date(post.nextRetryAt).toLocaleTimeString()}`}
+                      </div>
+                    )}
+                    {post.groupIds?.length > 1 && (
+                      <div className={styles.groupResults}>
+                        {post.groupIds.map(id => {
+                          const result = post.groupResults?.[id];
+                          return (
+                            <span key={id} className={styles.groupResult} title={result?.error || result?.reason || ''}>
+                              {result?.status === 'posted' ? '✓' : result?.status === 'failed' ? '✗' : result?.status === 'skipped' ? '⏭' : '•'} {groupName(id)}
+                              {result?.status === 'skipped' && ` (${result.reason.toLowerCase()})`}
+                              {result?.status === 'failed' && result.errorKind && ` (${result.errorKind})`}
+                              {result?.remoteMissingAt && ' (missing on VRChat)'}
+                              {result?.remoteDeletedAt && ' (removed)'}
+                            </span>
+                          );
+                        })}
                       </div>
                     )}
                   </div>
                 </div>
                 <div style={{ display: 'flex', alignItems: 'center' }}>
                   <span className={`${styles.status} ${styles['status' + (post.status.charAt(0).toUpperCase() + post.status.slice(1))]}`}>
-                    {post.status}
+                    {post.status === 'retrying' ? `retrying ${post.attempts?.length || 0}/${post.retryLimit}`
+                      : post.status === 'waiting-auth' ? 'waiting for login'
+                        : post.status}
                   </span>
 
+                  {['pending', 'recurring', 'paused'].includes(post.status) && (
+                    <button
+                      className={styles.retryBtn}
+                      style={{ marginRight: '0.5rem' }}
+                      onClick={() => handleEdit(post)}
+                      title="Edit in Place"
+                    >
+                      Edit
+                    </button>
+                  )}
+
+                  {post.status === 'recurring' && (
+                    <button
+                      className={styles.retryBtn}
+                      style={{ marginRight: '0.5rem' }}
+                      onClick={() => handlePause(post)}
+                      title="Stop posting until resumed"
+                    >
+                      Pause
+                    </button>
+                  )}
+
+                  {post.status === 'paused' && (
+                    <>
+                      <button
+                        className={styles.retryBtn}
+                        style={{ marginRight: '0.5rem' }}
+                        onClick={() => handleResume(post, false)}
+                        title="Continue with the next occurrence"
+                      >
+                        Resume
+                      </button>
+                      <button
+                        className={styles.retryBtn}
+                        style={{ marginRight: '0.5rem' }}
+                        onClick={() => handleResume(post, true)}
+                        title="Also post the latest occurrence missed while paused"
+                      >
+                        Resume + catch up
+                      </button>
+                    </>
+                  )}
+
                   <button
                     className={styles.retryBtn}
                     style={{ marginRight: '0.5rem' }}
@@ -581,6 +1672,28 @@ export default function Dashboard() {
                     ×
                   </button>
 
+                  {post.status === 'deleted' && (
+                    <button
+                      className={styles.retryBtn}
+                      style={{ marginRight: '0.5rem' }}
+                      onClick={() => handleRestore(post)}
+                      title={`Put back as ${post.previousStatus || 'scheduled'}`}
+                    >
+                      Restore
+                    </button>
+                  )}
+
+                  {post.status === 'failed' && Object.values(post.groupResults || {}).some(r => r.status === 'failed') && (
+                    <button
+                      className={styles.retryBtn}
+                      style={{ marginRight: '0.5rem' }}
+                      onClick={() => handleRetryFailedGroups(post)}
+                      title="Post again to the groups that failed"
+                    >
+                      Retry failed groups
+                    </button>
+                  )}
+
                   {(post.status === 'failed' || post.status === 'missed' || post.status === 'deleted') && (
                     <button
                       className={styles.retryBtn}
@@ -597,6 +1710,159 @@ export default function Dashboard() {
         </section>
       </div>
 
+      <section className={styles.card} style={{ marginTop: '2rem' }}>
+        <div style={{ display: 'flex', justifyContent: 'space-between', alignItems: 'center', marginBottom: '1rem', gap: '0.5rem' }}>
+          <h2 className={styles.cardTitle} style={{ marginBottom: 0 }}>Live Posts on VRChat</h2>
+          <div style={{ display: 'flex', gap: '0.5rem' }}>
+            <select
+              className={styles.select}
+              value={liveGroupId}
+              onChange={e => {
+                setLiveGroupId(e.target.value);
+                setLivePosts(null);
+                fetchLivePosts(e.target.value);
+              }}
+            >
+              <option value="" disabled>Select a group</option>
+              {groups.map(g => <option key={g.id} value={g.groupId}>{g.name}</option>)}
+            </select>
+            <button
+              className={styles.deleteBtn}
+              style={{ fontSize: '1rem', color: '#63b3ed' }}
+              onClick={() => fetchLivePosts()}
+              disabled={!liveGroupId || liveLoading}
+            >{liveLoading ? 'Loading...' : 'Refresh'}</button>
+          </div>
+        </div>
+
+        {livePosts && (
+          <div className={styles.postList}>
+            {livePosts.posts.length === 0 && <p style={{ color: '#718096' }}>No posts on this group.</p>}
+            {livePosts.posts.map(livePost => (
+              <div key={livePost.id} className={styles.postItem}>
+                <div className={styles.postInfo}>
+                  <div className={styles.postTitle}>
+                    {livePost.localId && <span className={styles.liveLocalBadge}>Scheduled here</span>}
+                    {livePost.title}
+                  </div>
+                  <div className={styles.postMeta}>
+                    {livePost.createdAt && formatInZone(livePost.createdAt)}
+                    {livePost.authorId && ` • ${livePost.authorId}`}
+                    {livePost.visibility === 'group' && <span className={styles.visibilityBadge}>🔒 Members only</span>}
+                    {livePost.localId && localTitle(livePost.localId) !== livePost.title && localTitle(livePost.localId) && (
+                      <div className={styles.zoneHint}>Local: {localTitle(livePost.localId)}</div>
+                    )}
+                  </div>
+                </div>
+                <button className={styles.deleteBtn} onClick={() => handleDeleteLivePost(livePost)} title="Delete from VRChat">
+                  🗑
+                </button>
+              </div>
+            ))}
+            {livePosts.missing.length > 0 && (
+              <>
+                <div className={styles.zoneHint}>Posted from this app but no longer on the group:</div>
+                {livePosts.missing.map(post => (
+                  <div key={post.id} className={styles.postItem}>
+                    <div className={styles.postInfo}>
+                      <div className={styles.postTitle}>{post.title}</div>
+                      <div className={styles.postError}>⚠ Missing on VRChat</div>
+                    </div>
+                  </div>
+                ))}
+              </>
+            )}
+          </div>
+        )}
+      </section>
+
+      {/* Import Preview */}
+      {importPlan && (
+        <div className={styles.settingsOverlay}>
+          <div className={styles.settingsModal} style={{ maxWidth: '700px' }}>
+            <div className={styles.settingsTitle}>📥 Import Preview</div>
+            <div className={styles.zoneHint} style={{ marginBottom: '1rem' }}>{importPlan.filePath}</div>
+
+            <div className={styles.postList}>
+              {importPlan.rows.length === 0 && <p style={{ color: '#718096' }}>The file has no posts.</p>}
+              {importPlan.rows.map(row => (
+                <div key={row.row} className={styles.missedItem}>
+                  <div className={styles.postTitle}>
+                    <span className={`${styles.importAction} ${styles['importAction' + row.action.charAt(0).toUpperCase() + row.action.slice(1)]}`}>
+                      {row.action}
+                    </span>
+                    #{row.row} {row.title || '(no title)'}
+                  </div>
+                  <div className={styles.postMeta}>
+                    {row.scheduledAt && formatInZone(row.scheduledAt)}
+                    {row.groupId && ` • ${groupName(row.groupId)}`}
+                    {row.recurring && ' • ↻ repeats'}
+                  </div>
+                  {row.changes.length > 0 && <div className={styles.zoneHint}>Changes: {row.changes.join(', ')}</div>}
+                  {row.errors.map(err => <div key={err} className={styles.postError}>{err}</div>)}
+                </div>
+              ))}
+            </div>
+
+            <div className={styles.settingsActions}>
+              <button
+                className={styles.settingsSaveBtn}
+                onClick={handleConfirmImport}
+                disabled={!importPlan.rows.some(r => r.action === 'add' || r.action === 'update')}
+              >
+                Import {importPlan.rows.filter(r => r.action === 'add' || r.action === 'update').length} post(s)
+              </button>
+              <button className={styles.settingsCloseBtn} onClick={() => setImportPlan(null)}>Cancel</button>
+            </div>
+          </div>
+        </div>
+      )}
+
+      {/* Missed Posts Dialog */}
+      {missedPosts.length > 0 && (
+        <div className={styles.settingsOverlay}>
+          <div className={styles.settingsModal} style={{ maxWidth: '600px' }}>
+            <div className={styles.settingsTitle}>⏰ Missed While App Was Closed</div>
+
+            <div className={styles.postList}>
+              {missedPosts.map(post => (
+                <div key={post.id} className={styles.missedItem}>
+                  <div className={styles.postTitle}>
+                    {post.parentId && <span className={styles.missedOccurrenceTag}>Repeat</span>}
+                    {post.title}
+                    {post.imageName && <span className={styles.zoneHint} title={post.imageId || 'Uploads before posting'}> 🖼 {post.imageName}</span>}
+                  </div>
+                  <div className={styles.postMeta}>
+                    {formatInZone(post.scheduledAt, post.timeZone)} • {post.groupId}
+                    {accounts.length > 1 && post.accountId && ` • 👤 ${accountName(post.accountId)}`}
+                    {post.timeZone && post.timeZone !== VIEWER_TIME_ZONE && (
+                      <div className={styles.zoneHint}>{formatInZone(post.scheduledAt)} (your time)</div>
+                    )}
+                  </div>
+                  <div className={styles.missedActions}>
+                    <button className={styles.settingsCheckBtn} onClick={() => handleResolveMissed(post, 'fire')}>
+                      Post Now
+                    </button>
+                    <input
+                      type="datetime-local"
+                      className={styles.input}
+                      value={missedReschedule[post.id] || ''}
+                      onChange={e => setMissedReschedule({ ...missedReschedule, [post.id]: e.target.value })}
+                    />
+                    <button className={styles.settingsCheckBtn} onClick={() => handleResolveMissed(post, 'reschedule')}>
+                      Reschedule
+                    </button>
+                    <button className={styles.settingsCloseBtn} onClick={() => handleResolveMissed(post, 'dismiss')}>
+                      Dismiss
+                    </button>
+                  </div>
+                </div>
+              ))}
+            </div>
+          </div>
+        </div>
+      )}
+
       {/* Settings Modal */}
       {showSettings && (
         <div className={styles.settingsOverlay} onClick={(e) => { if (e.target === e.currentTarget) setShowSettings(false); }}>
@@ -650,6 +1916,217 @@ export default function Dashboard() {
               )}
             </div>
 
+            <div className={styles.settingsSubtitle}>見逃した投稿の扱い</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>アプリ終了中に予約時刻を過ぎた投稿</label>
+              <select
+                className={styles.settingsSelect}
+                value={schedulerSettings.catchUpPolicy}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, catchUpPolicy: e.target.value })}
+              >
+                <option value="skip">スキップする</option>
+                <option value="grace">指定時間以内の遅れなら起動時に投稿する</option>
+                <option value="ask">起動時に確認する</option>
+              </select>
+            </div>
+
+            {schedulerSettings.catchUpPolicy === 'grace' && (
+              <div className={styles.settingsGroup}>
+                <label className={styles.settingsLabel}>許容する遅れ（分）</label>
+                <input
+                  type="number"
+                  min="1"
+                  className={styles.settingsSelect}
+                  value={schedulerSettings.catchUpGraceMinutes}
+                  onChange={(e) => setSchedulerSettings({ ...schedulerSettings, catchUpGraceMinutes: Number(e.target.value) })}
+                />
+              </div>
+            )}
+
+            <div className={styles.settingsSubtitle}>投稿失敗時の再試行</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>最大再試行回数（通信エラー・サーバーエラー・レート制限のみ）</label>
+              <input
+                type="number"
+                min="0"
+                className={styles.settingsSelect}
+                value={schedulerSettings.retryLimit}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, retryLimit: Number(e.target.value) })}
+              />
+            </div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>初回の再試行までの待ち時間（秒・以降は倍々に延長）</label>
+              <input
+                type="number"
+                min="1"
+                className={styles.settingsSelect}
+                value={schedulerSettings.retryBaseDelaySeconds}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, retryBaseDelaySeconds: Number(e.target.value) })}
+              />
+            </div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>複数グループへ投稿するときの間隔（秒）</label>
+              <input
+                type="number"
+                min="0"
+                className={styles.settingsSelect}
+                value={schedulerSettings.broadcastStaggerSeconds}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, broadcastStaggerSeconds: Number(e.target.value) })}
+              />
+            </div>
+
+            <div className={styles.settingsSubtitle}>ゴミ箱と履歴</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>ゴミ箱と投稿履歴の保存期間（日・0で削除しない）</label>
+              <input
+                type="number"
+                min="0"
+                className={styles.settingsSelect}
+                value={schedulerSettings.retentionDays}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, retentionDays: Number(e.target.value) })}
+              />
+            </div>
+
+            <div className={styles.settingsSubtitle}>繰り返し投稿を止める期間</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>ブラックアウト期間（MM-DD は毎年、YYYY-MM-DD は一度だけ・両端を含む）</label>
+              {(schedulerSettings.blackouts || []).map((b, i) => (
+                <div key={i} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                  <input
+                    type="text"
+                    className={styles.settingsSelect}
+                    placeholder="12-29"
+                    value={b.from}
+                    onChange={(e) => updateBlackout(i, { from: e.target.value.trim() })}
+                  />
+                  <span>〜</span>
+                  <input
+                    type="text"
+                    className={styles.settingsSelect}
+                    placeholder="01-03"
+                    value={b.to}
+                    onChange={(e) => updateBlackout(i, { to: e.target.value.trim() })}
+                  />
+                  <input
+                    type="text"
+                    className={styles.settingsSelect}
+                    placeholder="名前（年末年始など）"
+                    value={b.label || ''}
+                    onChange={(e) => updateBlackout(i, { label: e.target.value })}
+                  />
+                  <button
+                    className={styles.settingsCloseBtn}
+                    onClick={() => setSchedulerSettings({
+                      ...schedulerSettings,
+                      blackouts: schedulerSettings.blackouts.filter((_, j) => j !== i)
+                    })}
+                  >削除</button>
+                </div>
+              ))}
+              <button
+                className={styles.settingsCheckBtn}
+                onClick={() => setSchedulerSettings({
+                  ...schedulerSettings,
+                  blackouts: [...(schedulerSettings.blackouts || []), { from: '', to: '', label: '' }]
+                })}
+              >期間を追加</button>
+            </div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>グループごとの投稿しない時間帯（{VIEWER_TIME_ZONE}・日をまたぐ指定も可）</label>
+              {groups.map(g => {
+                const quiet = schedulerSettings.quietHours?.[g.groupId] || {};
+                return (
+                  <div key={g.groupId} style={{ display: 'flex', gap: '0.5rem', alignItems: 'center', marginBottom: '0.5rem' }}>
+                    <span className={styles.queueStats} style={{ flex: 1 }}>{g.name}</span>
+                    <input
+                      type="time"
+                      className={styles.settingsSelect}
+                      value={quiet.start || ''}
+                      onChange={(e) => updateQuietHours(g.groupId, { start: e.target.value })}
+                    />
+                    <span>〜</span>
+                    <input
+                      type="time"
+                      className={styles.settingsSelect}
+                      value={quiet.end || ''}
+                      onChange={(e) => updateQuietHours(g.groupId, { end: e.target.value })}
+                    />
+                  </div>
+                );
+              })}
+            </div>
+
+            <div className={styles.settingsSubtitle}>テンプレート</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>{'{date}'} {'{time}'} {'{weekday}'} の表示形式</label>
+              <select
+                className={styles.settingsSelect}
+                value={schedulerSettings.templateLocale}
+                onChange={(e) => setSchedulerSettings({ ...schedulerSettings, templateLocale: e.target.value })}
+              >
+                <option value="">システムの設定に従う</option>
+                <option value="ja-JP">日本語</option>
+                <option value="en-US">English (US)</option>
+                <option value="en-GB">English (UK)</option>
+                <option value="ko-KR">한국어</option>
+                <option value="zh-CN">中文（简体）</option>
+                <option value="de-DE">Deutsch</option>
+                <option value="fr-FR">Français</option>
+              </select>
+            </div>
+
+            <div className={styles.settingsSubtitle}>カレンダー連携（.ics）</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>予定を自動で書き出すファイル（投稿の変更時に更新）</label>
+              <div style={{ display: 'flex', gap: '0.5rem', alignItems: 'center' }}>
+                <span className={styles.queueStats} style={{ flex: 1, wordBreak: 'break-all' }}>
+                  {calendarSettings.autoExportPath || '書き出さない'}
+                </span>
+                <button className={styles.settingsCheckBtn} onClick={handlePickCalendarPath}>選択</button>
+                {calendarSettings.autoExportPath && (
+                  <button
+                    className={styles.settingsCloseBtn}
+                    onClick={() => setCalendarSettings({ ...calendarSettings, autoExportPath: '' })}
+                  >解除</button>
+                )}
+              </div>
+            </div>
+
+            <div className={styles.settingsSubtitle}>API接続先（開発・テスト用）</div>
+
+            <div className={styles.settingsGroup}>
+              <label className={styles.settingsLabel}>APIのURL（空欄で公式API）</label>
+              <input
+                type="text"
+                className={styles.settingsSelect}
+                placeholder="https://api.vrchat.cloud/api/1"
+                value={apiSettings.apiBase}
+                onChange={(e) => setApiSettings({ ...apiSettings, apiBase: e.target.value })}
+              />
+            </div>
+
+            {queueStats && (
+              <div className={styles.settingsGroup}>
+                <label className={styles.settingsLabel}>リクエスト状況（起動後の合計）</label>
+                <div className={styles.queueStats}>
+                  実行中 {queueStats.active} / 待機中 {queueStats.queued} • リクエスト {queueStats.requests} •
+                  制限(429) {queueStats.throttled} • 自動再試行 {queueStats.retries} • 平均待ち時間 {queueStats.averageWaitMs}ms
+                  <br />
+                  上限: 同時 {queueStats.limits.concurrency} 件、毎秒 {queueStats.limits.perSecond} 件（最大 {queueStats.limits.burst} 件まで連続）
+                  {queueStats.lastThrottledAt && <><br />最後の制限: {new Date(queueStats.lastThrottledAt).toLocaleString()}</>}
+                </div>
+              </div>
+            )}
+
             <div className={styles.settingsActions}>
               <button className={styles.settingsSaveBtn} onClick={handleSaveSettings}>保存</button>
               <button className={styles.settingsCloseBtn} onClick={() => setShowSettings(false)}>閉じる</button>
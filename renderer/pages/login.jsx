@@ -1,16 +1,31 @@
-import { useState } from 'react';
+import { useEffect, useState } from 'react';
 import { useRouter } from 'next/router';
 import styles from '../styles/Login.module.css';
 
+const TWO_FACTOR_LABELS = {
+    totp: { tab: 'Authenticator', label: 'Authenticator App Code', placeholder: '000000' },
+    emailotp: { tab: 'Email', label: 'Code Sent to Your Email', placeholder: '000000' },
+    otp: { tab: 'Recovery Code', label: 'Recovery Code', placeholder: 'xxxx-xxxx' }
+};
+
 export default function LoginPage() {
     const [username, setUsername] = useState('');
     const [password, setPassword] = useState('');
     const [code, setCode] = useState('');
     const [step, setStep] = useState('login'); // 'login' or '2fa'
+    const [methods, setMethods] = useState(['totp']); // 2FA methods the account allows
+    const [method, setMethod] = useState('totp');
     const [error, setError] = useState('');
     const [loading, setLoading] = useState(false);
+    const [hasAccounts, setHasAccounts] = useState(false); // Adding another account
     const router = useRouter();
 
+    useEffect(() => {
+        window.ipc.invoke('auth:get-accounts')
+            .then(accounts => setHasAccounts(accounts.length > 0))
+            .catch(console.error);
+    }, []);
+
     const handleLogin = async (e) => {
         e.preventDefault();
         setLoading(true);
@@ -21,6 +36,9 @@ export default function LoginPage() {
             const data = await window.ipc.invoke('auth:login', { username, password });
 
             if (data.requiresTwoFactorAuth) {
+                const allowed = data.twoFactorMethods || ['totp'];
+                setMethods(allowed);
+                setMethod(allowed[0]);
                 setStep('2fa');
             } else {
                 router.push('/home'); // Go to home
@@ -39,7 +57,7 @@ export default function LoginPage() {
 
         try {
             // IPC Call
-            await window.ipc.invoke('auth:verify-2fa', { code });
+            await window.ipc.invoke('auth:verify-2fa', { code, method });
             router.push('/home');
         } catch (err) {
             setError(err.message);
@@ -81,14 +99,32 @@ export default function LoginPage() {
                     </form>
                 ) : (
                     <form onSubmit={handleVerify}>
+                        {methods.length > 1 && (
+                            <div className={styles.methodTabs}>
+                                {methods.map(m => (
+                                    <button
+                                        key={m}
+                                        type="button"
+                                        className={`${styles.methodTab} ${m === method ? styles.methodTabActive : ''}`}
+                                        onClick={() => {
+                                            setMethod(m);
+                                            setCode('');
+                                            setError('');
+                                        }}
+                                    >
+                                        {TWO_FACTOR_LABELS[m].tab}
+                                    </button>
+                                ))}
+                            </div>
+                        )}
                         <div className={styles.formGroup}>
-                            <label className={styles.label}>2FA Code</label>
+                            <label className={styles.label}>{TWO_FACTOR_LABELS[method].label}</label>
                             <input
                                 className={styles.input}
                                 type="text"
                                 value={code}
                                 onChange={(e) => setCode(e.target.value)}
-                                placeholder="000000"
+                                placeholder={TWO_FACTOR_LABELS[method].placeholder}
                                 required
                             />
                         </div>
@@ -99,6 +135,12 @@ export default function LoginPage() {
                 )}
 
                 {error && <p className={styles.error}>{error}</p>}
+
+                {hasAccounts && (
+                    <button className={styles.backButton} type="button" onClick={() => router.push('/home')}>
+                        Back to scheduler
+                    </button>
+                )}
             </div>
         </div>
     );
@@ -0,0 +1,47 @@
+// Helpers for calendar events in the post form. Events store a duration so every
+// occurrence of a recurring event ends the same time after it starts.
+import { wallClockToIso, isoToWallClock } from './timezone';
+
+export const EVENT_CATEGORIES = [
+  { value: 'hangout', label: 'Hangout' },
+  { value: 'music', label: 'Music' },
+  { value: 'gaming', label: 'Gaming' },
+  { value: 'dance', label: 'Dance' },
+  { value: 'performance', label: 'Performance' },
+  { value: 'arts', label: 'Arts' },
+  { value: 'education', label: 'Education' },
+  { value: 'exploring', label: 'Exploring' },
+  { value: 'avatars', label: 'Avatars' },
+  { value: 'film_media', label: 'Film & Media' },
+  { value: 'roleplaying', label: 'Roleplaying' },
+  { value: 'wellness', label: 'Wellness' },
+  { value: 'other', label: 'Other' }
+];
+
+export const DEFAULT_EVENT = {
+  endTime: '', // HH:mm; earlier than the start time means the next day
+  category: 'hangout',
+  publishLeadDays: 3
+};
+
+/**
+ * Minutes from the start (datetime-local) to the end time (HH:mm) in `zone`
+ */
+export function durationFromEndTime(startValue, endTime, zone) {
+  const start = new Date(wallClockToIso(startValue, zone));
+  let end = new Date(wallClockToIso(`${startValue.slice(0, 10)}T${endTime}`, zone));
+  if (end <= start) end = new Date(end.getTime() + 24 * 60 * 60000);
+  return Math.round((end - start) / 60000);
+}
+
+/**
+ * HH:mm the event ends at, from its start instant and duration
+ */
+export function endTimeFromDuration(startIso, durationMinutes, zone) {
+  const end = new Date(new Date(startIso).getTime() + durationMinutes * 60000).toISOString();
+  return isoToWallClock(end, zone).slice(11);
+}
+
+export function categoryLabel(value) {
+  return EVENT_CATEGORIES.find(c => c.value === value)?.label || value;
+}
@@ -0,0 +1,112 @@
+// RRULE helpers for the recurrence editor. Rules are stored without the "RRULE:" prefix,
+// e.g. "FREQ=WEEKLY;INTERVAL=2;BYDAY=SA". Day indexes follow Date#getDay() (0 = Sunday).
+
+export const DAY_CODES = ['SU', 'MO', 'TU', 'WE', 'TH', 'FR', 'SA'];
+export const DAY_LABELS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+export const SET_POSITIONS = [
+  { value: 1, label: '1st' },
+  { value: 2, label: '2nd' },
+  { value: 3, label: '3rd' },
+  { value: 4, label: '4th' },
+  { value: -1, label: 'Last' }
+];
+
+const FREQ_UNITS = { DAILY: 'day', WEEKLY: 'week', MONTHLY: 'month' };
+
+export const DEFAULT_RULE = {
+  freq: 'DAILY',
+  interval: 1,
+  days: [],
+  monthlyMode: 'date', // 'date' (same day of month) or 'weekday' (nth weekday)
+  setPos: 1,
+  weekday: 5,
+  endMode: 'never', // 'never', 'until' or 'count'
+  until: '', // YYYY-MM-DD, inclusive
+  count: 10
+};
+
+/**
+ * Build an RRULE string from the editor's form values
+ */
+export function buildRRule(rule) {
+  const parts = [`FREQ=${rule.freq}`];
+  if (Number(rule.interval) > 1) parts.push(`INTERVAL=${Number(rule.interval)}`);
+
+  if (rule.freq === 'WEEKLY' && rule.days.length > 0) {
+    parts.push(`BYDAY=${[...rule.days].sort().map(d => DAY_CODES[d]).join(',')}`);
+  }
+  if (rule.freq === 'MONTHLY' && rule.monthlyMode === 'weekday') {
+    parts.push(`BYDAY=${DAY_CODES[rule.weekday]}`, `BYSETPOS=${rule.setPos}`);
+  }
+
+  if (rule.endMode === 'until' && rule.until) {
+    // Floating time: the scheduler reads this as the end of that day in the post's zone
+    parts.push(`UNTIL=${rule.until.replace(/-/g, '')}T235959Z`);
+  } else if (rule.endMode === 'count') {
+    parts.push(`COUNT=${Number(rule.count)}`);
+  }
+  return parts.join(';');
+}
+
+/**
+ * Parse an RRULE string back into the editor's form values
+ */
+export function parseRRule(rrule) {
+  const fields = Object.fromEntries(
+    rrule.replace(/^RRULE:/, '').split(';').map(part => part.split('='))
+  );
+  const days = (fields.BYDAY || '')
+    .split(',')
+    .filter(Boolean)
+    .map(code => DAY_CODES.indexOf(code.slice(-2)));
+
+  const rule = {
+    ...DEFAULT_RULE,
+    freq: FREQ_UNITS[fields.FREQ] ? fields.FREQ : 'DAILY',
+    interval: Number(fields.INTERVAL) || 1
+  };
+
+  if (rule.freq === 'WEEKLY') {
+    rule.days = days;
+  } else if (rule.freq === 'MONTHLY' && fields.BYSETPOS && days.length > 0) {
+    rule.monthlyMode = 'weekday';
+    rule.setPos = Number(fields.BYSETPOS);
+    rule.weekday = days[0];
+  }
+
+  if (fields.UNTIL) {
+    const u = fields.UNTIL;
+    rule.endMode = 'until';
+    rule.until = `${u.slice(0, 4)}-${u.slice(4, 6)}-${u.slice(6, 8)}`;
+  } else if (fields.COUNT) {
+    rule.endMode = 'count';
+    rule.count = Number(fields.COUNT);
+  }
+  return rule;
+}
+
+/**
+ * Short human-readable summary, e.g. "Every 2 weeks on Sat, until 2026-12-31"
+ */
+export function describeRecurrence(recurrence) {
+  if (!recurrence?.rrule) return '';
+  const rule = parseRRule(recurrence.rrule);
+  const unit = FREQ_UNITS[rule.freq];
+
+  let text = rule.interval > 1
+    ? `Every ${rule.interval} ${unit}s`
+    : { DAILY: 'Daily', WEEKLY: 'Weekly', MONTHLY: 'Monthly' }[rule.freq];
+
+  if (rule.freq === 'WEEKLY' && rule.days.length > 0) {
+    text += ` on ${rule.days.map(d => DAY_LABELS[d]).join(', ')}`;
+  }
+  if (rule.freq === 'MONTHLY' && rule.monthlyMode === 'weekday') {
+    const pos = SET_POSITIONS.find(p => p.value === rule.setPos)?.label || `#${rule.setPos}`;
+    text += ` on the ${pos.toLowerCase()} ${DAY_LABELS[rule.weekday]}`;
+  }
+
+  if (rule.endMode === 'until') text += `, until ${rule.until}`;
+  if (rule.endMode === 'count') text += `, ${rule.count} times`;
+  if (recurrence.exdates?.length) text += ` (${recurrence.exdates.length} skipped)`;
+  return text;
+}
@@ -0,0 +1,43 @@
+import { DateTime } from 'luxon';
+
+// Zone of the machine showing the UI; posts saved without a zone used it too
+export const VIEWER_TIME_ZONE = DateTime.local().zoneName;
+
+export const TIME_ZONES = typeof Intl.supportedValuesOf === 'function'
+  ? Intl.supportedValuesOf('timeZone')
+  : [VIEWER_TIME_ZONE];
+
+/**
+ * datetime-local value ("2026-10-20T21:00") read as wall-clock time in `zone` -> ISO instant
+ */
+export function wallClockToIso(value, zone = VIEWER_TIME_ZONE) {
+  return DateTime.fromISO(value, { zone }).toUTC().toISO();
+}
+
+/**
+ * ISO instant -> datetime-local value in `zone`
+ */
+export function isoToWallClock(iso, zone = VIEWER_TIME_ZONE) {
+  return DateTime.fromISO(iso).setZone(zone).toFormat("yyyy-MM-dd'T'HH:mm");
+}
+
+/**
+ * ISO instant -> localized date and time in `zone`, with the zone's abbreviation
+ */
+export function formatInZone(iso, zone = VIEWER_TIME_ZONE) {
+  const dt = DateTime.fromISO(iso).setZone(zone);
+  return `${dt.toLocaleString(DateTime.DATETIME_MED_WITH_WEEKDAY)} ${dt.toFormat('ZZZZ')}`;
+}
+
+/**
+ * Time left until an ISO instant, e.g. "in 3h 12m" or "in 2d 4h"
+ */
+export function formatTimeUntil(iso, now = Date.now()) {
+  const minutes = Math.round((new Date(iso).getTime() - now) / 60000);
+  if (minutes <= 0) return 'now';
+  const days = Math.floor(minutes / 1440);
+  const hours = Math.floor((minutes % 1440) / 60);
+  if (days > 0) return `in ${days}d ${hours}h`;
+  if (hours > 0) return `in ${hours}h ${minutes % 60}m`;
+  return `in ${minutes}m`;
+}
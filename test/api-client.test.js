@@ -0,0 +1,81 @@
+import http from 'http';
+import { describe, it, expect, beforeAll, afterAll, beforeEach } from 'vitest';
+import { apiFetch, getQueueStats, configureRequestQueue } from '../main/api-client.js';
+
+// Slow stand-in server that records how many requests overlap
+let server;
+let baseUrl;
+let inFlight = 0;
+let maxInFlight = 0;
+let startTimes = [];
+let responses = []; // queued { status, headers } returned before the default 200
+
+beforeAll(async () => {
+    server = http.createServer((req, res) => {
+        inFlight += 1;
+        maxInFlight = Math.max(maxInFlight, inFlight);
+        startTimes.push(Date.now());
+        setTimeout(() => {
+            inFlight -= 1;
+            const { status = 200, headers = {} } = responses.shift() || {};
+            res.writeHead(status, headers);
+            res.end('{}');
+        }, 30);
+    });
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    baseUrl = `http://127.0.0.1:${server.address().port}`;
+});
+
+afterAll(async () => {
+    await new Promise(resolve => server.close(resolve));
+});
+
+beforeEach(() => {
+    maxInFlight = 0;
+    startTimes = [];
+    responses = [];
+    configureRequestQueue({ concurrency: 2, burst: 100, perSecond: 100, maxWaitMs: 1000 });
+});
+
+describe('api client', () => {
+    it('caps the number of requests in flight', async () => {
+        const results = await Promise.all(Array.from({ length: 6 }, () => apiFetch(baseUrl)));
+
+        expect(results.every(r => r.status === 200)).toBe(true);
+        expect(maxInFlight).toBe(2);
+    });
+
+    it('spaces requests out once the token bucket is empty', async () => {
+        configureRequestQueue({ concurrency: 10, burst: 1, perSecond: 10 });
+        await new Promise(resolve => setTimeout(resolve, 150)); // Let the bucket refill
+
+        await Promise.all(Array.from({ length: 3 }, () => apiFetch(baseUrl)));
+
+        const gaps = startTimes.slice(1).map((t, i) => t - startTimes[i]);
+        gaps.forEach(gap => expect(gap).toBeGreaterThanOrEqual(80));
+    });
+
+    it('waits out Retry-After and retries transparently', async () => {
+        responses.push({ status: 429, headers: { 'Retry-After': '0.2' } });
+        const before = getQueueStats();
+
+        const started = Date.now();
+        const res = await apiFetch(baseUrl);
+
+        expect(res.status).toBe(200);
+        expect(Date.now() - started).toBeGreaterThanOrEqual(200);
+        const after = getQueueStats();
+        expect(after.throttled - before.throttled).toBe(1);
+        expect(after.retries - before.retries).toBe(1);
+        expect(after.requests - before.requests).toBe(1);
+    });
+
+    it('hands back responses asking for a longer wait than allowed', async () => {
+        configureRequestQueue({ maxWaitMs: 100 });
+        responses.push({ status: 429, headers: { 'Retry-After': '30' } });
+
+        const res = await apiFetch(baseUrl);
+        expect(res.status).toBe(429);
+        expect(getQueueStats().pausedUntil).not.toBeNull();
+    });
+});
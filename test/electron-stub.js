@@ -0,0 +1,9 @@
+// Minimal stand-in for the Electron APIs used by main-process modules under test
+export const app = {
+    getPath: () => process.env.TEST_USER_DATA,
+    getVersion: () => '0.0.0-test',
+};
+
+export const safeStorage = {
+    isEncryptionAvailable: () => false,
+};
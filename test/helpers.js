@@ -0,0 +1,38 @@
+import fs from 'fs/promises';
+import os from 'os';
+import path from 'path';
+import { createMockServer } from '../mock/vrchat-server.mjs';
+import { configureRequestQueue } from '../main/api-client.js';
+
+// Starts the mock VRChat API on a free port and points vrchat.js at it
+export async function startMockServer() {
+    // The mock has no rate limits; tests that need the limiter configure it themselves
+    configureRequestQueue({ concurrency: 8, burst: 1000, perSecond: 1000, maxWaitMs: 0 });
+    const server = createMockServer();
+    await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+    process.env.VRCHAT_API_BASE = `http://127.0.0.1:${server.address().port}/api/1`;
+    return server;
+}
+
+export async function stopMockServer(server) {
+    delete process.env.VRCHAT_API_BASE;
+    await new Promise(resolve => server.close(resolve));
+}
+
+// Fresh userData directory so each test starts without posts or sessions
+export async function useTempUserData() {
+    const dir = await fs.mkdtemp(path.join(os.tmpdir(), 'vrc-scheduler-test-'));
+    process.env.TEST_USER_DATA = dir;
+    return dir;
+}
+
+export async function readDataFile(name) {
+    const file = path.join(process.env.TEST_USER_DATA, 'data', name);
+    return JSON.parse(await fs.readFile(file, 'utf-8'));
+}
+
+export async function writeDataFile(name, data) {
+    const dir = path.join(process.env.TEST_USER_DATA, 'data');
+    await fs.mkdir(dir, { recursive: true });
+    await fs.writeFile(path.join(dir, name), JSON.stringify(data, null, 2), 'utf-8');
+}
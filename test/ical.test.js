@@ -0,0 +1,82 @@
+import { describe, it, expect } from 'vitest';
+import { buildCalendar, rememberGroupNames } from '../main/ical.js';
+
+const now = new Date('2026-10-01T00:00:00Z');
+
+const unfold = (ics) => ics.replace(/\r\n /g, '');
+const field = (ics, name) => unfold(ics).split('\r\n').filter(l => l.startsWith(`${name}:`)).map(l => l.slice(name.length + 1));
+
+describe('buildCalendar', () => {
+    it('writes pending one-off posts with UIDs from the post ID', () => {
+        rememberGroupNames([{ groupId: 'grp_main', name: 'Main Group' }]);
+        const ics = buildCalendar([
+            { id: 'abc', status: 'pending', groupId: 'grp_main', title: 'Tonight', text: 'Doors open, 21:00; bring friends\nSee you', scheduledAt: '2026-10-02T12:00:00.000Z' },
+            { id: 'done', status: 'posted', groupId: 'grp_main', title: 'Old', text: 'x', scheduledAt: '2026-09-02T12:00:00.000Z' }
+        ], { now });
+
+        expect(field(ics, 'UID')).toEqual(['abc@vrchat-group-scheduler']);
+        expect(field(ics, 'DTSTART')).toEqual(['20261002T120000Z']);
+        expect(field(ics, 'SUMMARY')).toEqual(['[Main Group] Tonight']);
+        expect(field(ics, 'DESCRIPTION')).toEqual(['Doors open\\, 21:00\\; bring friends\\nSee you']);
+    });
+
+    it('writes a recurring post as one event with its rule and skip dates', () => {
+        const weekly = {
+            id: 'weekly',
+            status: 'recurring',
+            groupId: 'grp_main',
+            title: 'Meetup',
+            text: 'x',
+            scheduledAt: '2026-10-03T12:00:00.000Z',
+            timeZone: 'Asia/Tokyo',
+            recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SA', exdates: ['2026-10-10T12:00:00.000Z'] }
+        };
+        const ics = buildCalendar([weekly], { now });
+
+        expect(field(ics, 'UID')).toEqual(['weekly@vrchat-group-scheduler']);
+        expect(field(ics, 'DTSTART;TZID=Asia/Tokyo')).toEqual(['20261003T210000']);
+        expect(field(ics, 'RRULE')).toEqual(['FREQ=WEEKLY;BYDAY=SA']);
+        expect(field(ics, 'EXDATE;TZID=Asia/Tokyo')).toEqual(['20261010T210000']);
+        // Editing the time keeps the UID, so subscribed calendars move the event
+        expect(field(buildCalendar([{ ...weekly, scheduledAt: '2026-10-03T13:00:00.000Z' }], { now }), 'UID'))
+            .toEqual(['weekly@vrchat-group-scheduler']);
+        // Rules that have ended are left out
+        expect(field(buildCalendar([{ ...weekly, recurrence: { rrule: 'FREQ=WEEKLY;COUNT=1', exdates: [] } }],
+            { now: new Date('2026-10-05T00:00:00Z') }), 'UID')).toEqual([]);
+    });
+
+    it('gives the end date as a UTC instant and leaves out blacked-out occurrences', () => {
+        const ics = buildCalendar([{
+            id: 'weekly',
+            status: 'recurring',
+            groupId: 'grp_main',
+            title: 'Meetup',
+            text: 'x',
+            scheduledAt: '2026-10-03T12:00:00.000Z',
+            timeZone: 'Asia/Tokyo',
+            recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SA;UNTIL=20261031T235959Z', exdates: ['2026-10-10T12:00:00.000Z'] }
+        }], { now, blackouts: [{ from: '10-17', to: '10-17', label: 'Maintenance' }] });
+
+        // End of Oct 31 in Tokyo
+        expect(field(ics, 'RRULE')).toEqual(['FREQ=WEEKLY;BYDAY=SA;UNTIL=20261031T145959Z']);
+        expect(field(ics, 'EXDATE;TZID=Asia/Tokyo')).toEqual(['20261010T210000,20261017T210000']);
+    });
+
+    it('gives calendar events their end time and folds long lines', () => {
+        const ics = buildCalendar([{
+            id: 'ev',
+            kind: 'event',
+            status: 'pending',
+            groupId: 'grp_main',
+            title: 'Club night',
+            text: 'とても長い説明文です。'.repeat(10),
+            scheduledAt: '2026-10-02T12:00:00.000Z',
+            event: { durationMinutes: 90, category: 'music' }
+        }], { now });
+
+        expect(field(ics, 'DTEND')).toEqual(['20261002T133000Z']);
+        expect(field(ics, 'CATEGORIES')).toEqual(['music']);
+        expect(ics.split('\r\n').every(line => Buffer.byteLength(line) <= 75)).toBe(true);
+        expect(field(ics, 'DESCRIPTION')).toEqual(['とても長い説明文です。'.repeat(10)]);
+    });
+});
@@ -0,0 +1,89 @@
+import { describe, it, expect } from 'vitest';
+import { exportPosts, parseCsv, parseImport, planImport } from '../main/import-export.js';
+
+const groups = [
+    { groupId: 'grp_main', name: 'Main Group', shortCode: 'MAIN' },
+    { groupId: 'grp_side', name: 'Side Group', shortCode: 'SIDE' }
+];
+const now = new Date('2026-10-01T00:00:00Z');
+
+const weekly = {
+    id: 'weekly',
+    groupId: 'grp_main',
+    title: 'Weekly meetup',
+    text: 'See you at {time}',
+    scheduledAt: '2026-10-03T12:00:00.000Z',
+    timeZone: 'Asia/Tokyo',
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SA', exdates: [] },
+    status: 'recurring',
+    lastOccurrenceAt: '2026-09-26T12:00:00.000Z'
+};
+const oneOff = {
+    id: 'one-off',
+    groupId: 'grp_side',
+    title: 'Open, now',
+    text: 'Line one\nSays "hi"',
+    scheduledAt: '2026-10-05T11:00:00.000Z',
+    timeZone: 'Asia/Tokyo',
+    sendNotification: true,
+    status: 'pending'
+};
+
+describe('export', () => {
+    it('round-trips JSON with recurrence but without runtime bookkeeping', () => {
+        const { content } = exportPosts([weekly], 'json', groups);
+        const [entry] = JSON.parse(content).posts;
+
+        expect(entry).toMatchObject({ recurrence: weekly.recurrence, groupName: 'Main Group' });
+        expect(entry).not.toHaveProperty('lastOccurrenceAt');
+        expect(entry).not.toHaveProperty('status');
+        expect(planImport(parseImport(content, 'json'), [weekly], groups, now)[0].action).toBe('unchanged');
+    });
+
+    it('writes one-off posts to CSV and leaves recurring ones out', () => {
+        const { content, count, skipped } = exportPosts([weekly, oneOff], 'csv', groups);
+
+        expect([count, skipped]).toEqual([1, 1]);
+        expect(parseCsv(content)).toEqual([
+            ['title', 'text', 'group', 'datetime', 'notification'],
+            ['Open, now', 'Line one\nSays "hi"', 'Side Group', '2026-10-05T20:00:00+09:00', 'true']
+        ]);
+    });
+});
+
+describe('import', () => {
+    it('resolves group names and short codes in CSV rows', () => {
+        const csv = 'title,text,group,datetime,notification\nA,x,main group,2026-10-10T21:00:00+09:00,yes\nB,y,SIDE,2026-10-11T21:00:00+09:00,\n';
+        const rows = planImport(parseImport(csv, 'csv'), [], groups, now);
+
+        expect(rows.map(r => [r.action, r.groupId])).toEqual([['add', 'grp_main'], ['add', 'grp_side']]);
+        expect(rows[0].post).toMatchObject({ scheduledAt: '2026-10-10T12:00:00.000Z', sendNotification: true, status: 'pending' });
+    });
+
+    it('reports every problem with a row', () => {
+        const csv = 'title,text,group,datetime,notification\n,x,Unknown,tomorrow,maybe\nPast,x,MAIN,2026-09-01 21:00,no\n';
+        const rows = planImport(parseImport(csv, 'csv'), [], groups, now);
+
+        expect(rows.map(r => r.action)).toEqual(['invalid', 'invalid']);
+        expect(rows[0].row).toBe(2);
+        expect(rows[0].errors).toEqual([
+            'You are not a member of group "Unknown"',
+            'Title is required',
+            expect.stringContaining('Invalid datetime'),
+            expect.stringContaining('Invalid notification value')
+        ]);
+        expect(rows[1].errors).toEqual(['Scheduled time is in the past']);
+    });
+
+    it('shows which fields an import would change', () => {
+        const { content } = exportPosts([{ ...oneOff, text: 'Edited' }], 'json', groups);
+        const [row] = planImport(parseImport(content, 'json'), [oneOff], groups, now);
+
+        expect(row).toMatchObject({ action: 'update', targetId: 'one-off', changes: ['text'] });
+    });
+
+    it('rejects files that are not schedules', () => {
+        expect(() => parseImport('{"foo": 1}', 'json')).toThrow('no "posts" list');
+        expect(() => parseImport('name,when\nA,B', 'csv')).toThrow('missing column(s): title, text, group, datetime');
+    });
+});
@@ -0,0 +1,93 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { migrateData, SchemaVersionError } from '../main/storage.js';
+import { MIGRATIONS } from '../main/migrations.js';
+import { useTempUserData, readDataFile, writeDataFile } from './helpers.js';
+
+const LATEST = MIGRATIONS[MIGRATIONS.length - 1].version;
+let dataDir;
+
+beforeEach(async () => {
+    dataDir = path.join(await useTempUserData(), 'data');
+});
+
+describe('migrateData', () => {
+    it('runs pending migrations in order and records the schema version', async () => {
+        const calls = [];
+        await writeDataFile('schema.json', { version: 1 });
+        await migrateData([
+            { version: 1, description: 'old', up: async () => calls.push(1) },
+            { version: 2, description: 'second', up: async () => calls.push(2) },
+            { version: 3, description: 'third', up: async () => calls.push(3) }
+        ]);
+
+        expect(calls).toEqual([2, 3]);
+        expect(await readDataFile('schema.json')).toMatchObject({ version: 3, appVersion: '0.0.0-test' });
+    });
+
+    it('backs up data files before migrating', async () => {
+        await writeDataFile('posts.json', [{ id: 'a' }]);
+        await migrateData([{ version: 1, description: 'noop', up: async () => {} }]);
+
+        const [backup] = await fs.readdir(path.join(dataDir, 'backups'));
+        expect(backup).toMatch(/^pre-migration-v0-/);
+        const saved = JSON.parse(await fs.readFile(path.join(dataDir, 'backups', backup, 'posts.json'), 'utf-8'));
+        expect(saved).toEqual([{ id: 'a' }]);
+    });
+
+    it('refuses data written by a newer schema without touching it', async () => {
+        await writeDataFile('schema.json', { version: LATEST + 1, appVersion: '9.0.0-beta.1' });
+        await writeDataFile('posts.json', [{ id: 'a', future: true }]);
+
+        await expect(migrateData(MIGRATIONS)).rejects.toBeInstanceOf(SchemaVersionError);
+        expect(await readDataFile('posts.json')).toEqual([{ id: 'a', future: true }]);
+        expect(await readDataFile('schema.json')).toMatchObject({ version: LATEST + 1 });
+    });
+
+    it('does nothing when already up to date', async () => {
+        await writeDataFile('schema.json', { version: LATEST });
+        await writeDataFile('posts.json', []);
+        await migrateData(MIGRATIONS);
+
+        await expect(fs.access(path.join(dataDir, 'backups'))).rejects.toThrow();
+    });
+});
+
+describe('MIGRATIONS', () => {
+    it('upgrades legacy posts to the current format', async () => {
+        await writeDataFile('posts.json', [
+            { id: 'weekly', status: 'recurring', recurrence: { type: 'weekly', days: [1, 5] } },
+            { id: 'broken', status: 'recurring', recurrence: null },
+            { id: 'done', status: 'posted' }
+        ]);
+        await migrateData(MIGRATIONS);
+
+        const posts = await readDataFile('posts.json');
+        expect(posts[0].recurrence).toEqual({ rrule: 'FREQ=WEEKLY;BYDAY=MO,FR', exdates: [] });
+        expect(posts[1].status).toBe('pending');
+        expect(posts[2]).toEqual({ id: 'done', status: 'posted' });
+        expect(await readDataFile('schema.json')).toMatchObject({ version: LATEST });
+    });
+
+    it('turns the single-account auth file into a profile that owns existing posts', async () => {
+        await writeDataFile('schema.json', { version: 2 });
+        await writeDataFile('auth.json', { cookies: 'auth=abc' });
+        await writeDataFile('posts.json', [{ id: 'a', status: 'pending' }]);
+        await migrateData(MIGRATIONS);
+
+        const auth = await readDataFile('auth.json');
+        expect(auth.accounts).toEqual([{ id: auth.activeAccountId, cookies: 'auth=abc' }]);
+        expect((await readDataFile('posts.json'))[0].accountId).toBe(auth.activeAccountId);
+    });
+
+    it('still assigns posts when an earlier run converted the auth file but stopped there', async () => {
+        await writeDataFile('schema.json', { version: 2 });
+        await writeDataFile('auth.json', { activeAccountId: 'acc', pendingAccountId: null, accounts: [{ id: 'acc', cookies: 'auth=abc' }] });
+        await writeDataFile('posts.json', [{ id: 'a', status: 'pending' }]);
+        await migrateData(MIGRATIONS);
+
+        expect((await readDataFile('auth.json')).accounts).toEqual([{ id: 'acc', cookies: 'auth=abc' }]);
+        expect((await readDataFile('posts.json'))[0].accountId).toBe('acc');
+    });
+});
@@ -0,0 +1,50 @@
+import { describe, it, expect } from 'vitest';
+import { getNextOccurrence, getOccurrencesBetween, isExcludedOccurrence } from '../main/recurrence.js';
+
+const iso = (dates) => dates.map(d => d.toISOString());
+
+// Sundays at 19:00 in Berlin; summer time ends on 2026-10-25
+const berlinWeekly = {
+    scheduledAt: '2026-10-18T17:00:00.000Z',
+    timeZone: 'Europe/Berlin',
+    recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SU', exdates: [] }
+};
+
+describe('recurrence', () => {
+    it('keeps the wall-clock time across a DST change', () => {
+        expect(getNextOccurrence(berlinWeekly, new Date('2026-10-18T17:00:00Z')).toISOString())
+            .toBe('2026-10-25T18:00:00.000Z');
+    });
+
+    it('follows "first Friday of the month" rules', () => {
+        const firstFriday = {
+            scheduledAt: '2026-10-02T18:00:00.000Z',
+            timeZone: 'Europe/Berlin',
+            recurrence: { rrule: 'FREQ=MONTHLY;BYDAY=FR;BYSETPOS=1', exdates: [] }
+        };
+        expect(iso(getOccurrencesBetween(firstFriday, new Date('2026-10-01T00:00:00Z'), new Date('2027-01-01T00:00:00Z'))))
+            .toEqual(['2026-10-02T18:00:00.000Z', '2026-11-06T19:00:00.000Z', '2026-12-04T19:00:00.000Z']);
+    });
+
+    it('reads UNTIL as the end of that day in the post\'s zone', () => {
+        // Saturdays at 20:00 in Los Angeles, which is already Sunday in UTC
+        const weekly = {
+            scheduledAt: '2026-10-04T03:00:00.000Z',
+            timeZone: 'America/Los_Angeles',
+            recurrence: { rrule: 'FREQ=WEEKLY;BYDAY=SA;UNTIL=20261010T235959Z', exdates: [] }
+        };
+        expect(iso(getOccurrencesBetween(weekly, new Date('2026-10-01T00:00:00Z'), new Date('2026-11-01T00:00:00Z'))))
+            .toEqual(['2026-10-04T03:00:00.000Z', '2026-10-11T03:00:00.000Z']);
+    });
+
+    it('skips excluded dates unless asked to include them', () => {
+        const post = { ...berlinWeekly, recurrence: { ...berlinWeekly.recurrence, exdates: ['2026-10-25T18:00:00.000Z'] } };
+        const after = new Date('2026-10-18T17:00:00Z');
+
+        expect(getNextOccurrence(post, after).toISOString()).toBe('2026-11-01T18:00:00.000Z');
+        const excluded = getNextOccurrence(post, after, { includeExcluded: true });
+        expect(excluded.toISOString()).toBe('2026-10-25T18:00:00.000Z');
+        expect(isExcludedOccurrence(post, excluded)).toBe(true);
+        expect(isExcludedOccurrence(post, new Date('2026-11-01T18:00:00Z'))).toBe(false);
+    });
+});
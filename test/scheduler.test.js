@@ -0,0 +1,604 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, afterEach, vi } from 'vitest';
+import schedule from 'node-schedule';
+import { login, verify2FA, getAccounts, getActiveAccountId } from '../main/vrchat.js';
+import {
+    initScheduler, addPost, updatePost, getPosts, getMissedPosts, resolveMissedPost, saveSchedulerSettings,
+    releaseHeldPosts, retryFailedGroups, getLivePosts, deleteLivePost, previewOccurrences, getNextRuns,
+    pausePost, resumePost, deletePost, restorePost, purgeOldPosts, reassignPosts
+} from '../main/scheduler.js';
+import { createInitialState } from '../mock/vrchat-server.mjs';
+import { startMockServer, stopMockServer, useTempUserData, writeDataFile } from './helpers.js';
+
+let server;
+
+const inMs = (ms) => new Date(Date.now() + ms).toISOString();
+const findPost = async (id) => (await getPosts(true)).find(p => p.id === id);
+
+beforeAll(async () => {
+    server = await startMockServer();
+});
+
+afterAll(async () => {
+    await stopMockServer(server);
+});
+
+beforeEach(async () => {
+    await useTempUserData();
+    server.state.posts = [];
+    server.state.events = [];
+    server.state.failures = [];
+    await login('owner', 'password');
+});
+
+afterEach(async () => {
+    await schedule.gracefulShutdown();
+});
+
+describe('one-off posts', () => {
+    it('posts at the scheduled time', async () => {
+        const post = await addPost({ groupId: 'grp_main', title: 'Tonight', text: 'Event at 21:00', scheduledAt: inMs(200) });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts).toHaveLength(1);
+        expect(server.state.posts[0]).toMatchObject({ title: 'Tonight', text: 'Event at 21:00' });
+    });
+
+    it('updates a post in place and reschedules it', async () => {
+        const post = await addPost({ groupId: 'grp_main', title: 'Typo', text: 'Evnet', scheduledAt: inMs(60000) });
+        const updated = await updatePost(post.id, { text: 'Event', scheduledAt: inMs(200) });
+
+        expect(updated.id).toBe(post.id);
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts.map(p => p.text)).toEqual(['Event']);
+    });
+
+    it('posts with the account the post belongs to', async () => {
+        const [owner] = await getAccounts();
+        await login('moderator', 'password');
+        await verify2FA('123456');
+
+        const post = await addPost({ groupId: 'grp_main', title: 'Owner post', text: 'x', scheduledAt: inMs(200), accountId: owner.id });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts[0].authorId).toBe('usr_owner');
+    });
+
+    it('sends visibility and roles', async () => {
+        const post = await addPost({
+            groupId: 'grp_main',
+            title: 'Staff only',
+            text: 'x',
+            visibility: 'group',
+            roleIds: ['grol_staff'],
+            roleNames: ['Staff'],
+            scheduledAt: inMs(200)
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts[0]).toMatchObject({ visibility: 'group', roleIds: ['grol_staff'] });
+    });
+
+    it('expands template placeholders when firing', async () => {
+        const post = await addPost({
+            groupId: 'grp_main',
+            title: '{group.name} #{occurrence}',
+            text: 'See you',
+            scheduledAt: inMs(200)
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts[0].title).toBe('Main Group #1');
+    });
+});
+
+describe('auto-delete', () => {
+    it('keeps the VRChat post ID and removes the post once it expires', async () => {
+        const post = await addPost({
+            groupId: 'grp_main', title: 'Instance open now!', text: 'x', scheduledAt: inMs(200), expireAfterMinutes: 0.01
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        const remoteId = (await findPost(post.id)).remoteId;
+        expect(remoteId).toBe(server.state.posts[0].id);
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).expiredAt).toBeTruthy(), { timeout: 3000 });
+        expect(server.state.posts).toHaveLength(0);
+        expect(server.state.requests).toContainEqual({ method: 'DELETE', path: `/groups/grp_main/posts/${remoteId}` });
+    });
+
+    it('removes posts that expired while the app was closed', async () => {
+        server.state.posts.push({ id: 'gpost_old', groupId: 'grp_main', authorId: 'usr_owner', title: 'Old' });
+        await writeDataFile('posts.json', [{
+            id: 'old',
+            groupId: 'grp_main',
+            title: 'Old',
+            text: 'x',
+            scheduledAt: inMs(-2 * 3600000),
+            status: 'posted',
+            remoteId: 'gpost_old',
+            expiresAt: inMs(-3600000)
+        }]);
+        await initScheduler();
+
+        await vi.waitFor(async () => expect((await findPost('old')).expiredAt).toBeTruthy(), { timeout: 3000 });
+        expect(server.state.posts).toHaveLength(0);
+    });
+});
+
+describe('live posts', () => {
+    const postNow = async () => {
+        const post = await addPost({ groupId: 'grp_main', title: 'From the app', text: 'x', scheduledAt: inMs(200) });
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        return findPost(post.id);
+    };
+
+    it('matches remote posts to local records and flags ones that disappeared', async () => {
+        const post = await postNow();
+        server.state.posts.push({ id: 'gpost_other', groupId: 'grp_main', authorId: 'usr_moderator', title: 'By hand' });
+
+        let live = await getLivePosts('grp_main');
+        expect(live.posts.map(p => [p.id, p.localId])).toEqual([['gpost_other', null], [post.remoteId, post.id]]);
+        expect(live.missing).toEqual([]);
+
+        server.state.posts = server.state.posts.filter(p => p.id !== post.remoteId);
+        live = await getLivePosts('grp_main');
+        expect(live.missing.map(p => p.id)).toEqual([post.id]);
+        expect((await findPost(post.id)).remoteMissingAt).toBeTruthy();
+    });
+
+    it('deletes a live post and marks its local record as removed', async () => {
+        const post = await postNow();
+
+        await deleteLivePost('grp_main', post.remoteId);
+
+        expect(server.state.posts).toHaveLength(0);
+        expect((await findPost(post.id)).remoteDeletedAt).toBeTruthy();
+        expect((await getLivePosts('grp_main')).missing).toEqual([]);
+    });
+});
+
+describe('calendar events', () => {
+    const event = { durationMinutes: 90, category: 'music', publishLeadMinutes: 60 };
+
+    it('publishes an event ahead of its start with the start and end time', async () => {
+        const startsAt = inMs(30 * 60000);
+        const post = await addPost({
+            kind: 'event', groupId: 'grp_main', title: 'Club night', text: 'DJ set', scheduledAt: startsAt, event
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        expect(server.state.posts).toHaveLength(0);
+        expect(server.state.events[0]).toMatchObject({
+            title: 'Club night',
+            description: 'DJ set',
+            category: 'music',
+            accessType: 'public',
+            startsAt,
+            endsAt: new Date(new Date(startsAt).getTime() + 90 * 60000).toISOString()
+        });
+    });
+
+    it('does not publish a recurring occurrence twice across restarts', async () => {
+        const startsAt = new Date(Date.now() + 10 * 60000);
+        startsAt.setSeconds(0, 0);
+        const post = await addPost({
+            kind: 'event',
+            groupId: 'grp_main',
+            title: 'Weekly meetup',
+            text: 'x',
+            scheduledAt: startsAt.toISOString(),
+            status: 'recurring',
+            recurrence: { rrule: 'FREQ=WEEKLY', exdates: [] },
+            event
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).publishedThrough).toBe(startsAt.toISOString()), { timeout: 3000 });
+        expect(server.state.events.map(e => e.startsAt)).toEqual([startsAt.toISOString()]);
+
+        await schedule.gracefulShutdown();
+        await initScheduler();
+        await new Promise(resolve => setTimeout(resolve, 1500));
+        expect(server.state.events).toHaveLength(1);
+    });
+});
+
+describe('upcoming runs', () => {
+    it('lists the next fire times of a draft recurrence', () => {
+        const start = new Date(Date.now() + 3600000);
+        start.setSeconds(0, 0);
+        const runs = previewOccurrences({
+            scheduledAt: start.toISOString(),
+            recurrence: { rrule: 'FREQ=DAILY;COUNT=3', exdates: [] }
+        }, 5);
+
+        expect(runs.map(r => r.fireAt)).toEqual([0, 1, 2].map(d => new Date(start.getTime() + d * 86400000).toISOString()));
+        expect(runs[0].occurrenceAt).toBe(runs[0].fireAt);
+    });
+
+    it('reports when each scheduled job fires next', async () => {
+        const scheduledAt = inMs(3600000);
+        const post = await addPost({ groupId: 'grp_main', title: 'Later', text: 'x', scheduledAt });
+
+        expect(getNextRuns()[post.id]).toBe(scheduledAt);
+    });
+});
+
+describe('skip rules', () => {
+    const twoMinutesAgo = () => {
+        const date = new Date(Date.now() - 2 * 60000);
+        date.setSeconds(0, 0);
+        return date;
+    };
+    const dailyPost = (scheduledAt, extra = {}) => ({
+        id: 'daily',
+        groupId: 'grp_main',
+        title: 'Daily',
+        text: 'x',
+        scheduledAt: scheduledAt.toISOString(),
+        createdAt: new Date(scheduledAt.getTime() - 60000).toISOString(),
+        timeZone: 'UTC',
+        status: 'recurring',
+        recurrence: { rrule: 'FREQ=DAILY', exdates: [] },
+        catchUp: { policy: 'grace', graceMinutes: 10 },
+        ...extra
+    });
+    const historyOf = async (id) => (await getPosts(true)).filter(p => p.parentId === id);
+
+    it('records a skipped entry instead of posting during a blackout', async () => {
+        const occurrence = twoMinutesAgo();
+        const day = occurrence.toISOString().slice(5, 10);
+        await saveSchedulerSettings({ blackouts: [{ from: day, to: day, label: 'Holiday' }] });
+        await writeDataFile('posts.json', [dailyPost(occurrence)]);
+        await initScheduler();
+
+        const [entry] = await historyOf('daily');
+        expect(entry).toMatchObject({ status: 'skipped', skipReason: `Blackout: Holiday (${day}–${day})` });
+        expect(server.state.posts).toHaveLength(0);
+        expect((await findPost('daily')).publishedThrough).toBe(occurrence.toISOString());
+    });
+
+    it('skips an occurrence on one of the post\'s skip dates', async () => {
+        const occurrence = twoMinutesAgo();
+        await writeDataFile('posts.json', [dailyPost(occurrence, {
+            recurrence: { rrule: 'FREQ=DAILY', exdates: [occurrence.toISOString()] }
+        })]);
+        await initScheduler();
+
+        const history = await historyOf('daily');
+        expect(history.map(p => [p.status, p.skipReason])).toEqual([['skipped', 'Skip date']]);
+        expect(server.state.posts).toHaveLength(0);
+    });
+
+    it('leaves out groups in their quiet hours', async () => {
+        const hhmm = (offset) => new Date(Date.now() + offset).toISOString().slice(11, 16);
+        await saveSchedulerSettings({
+            broadcastStaggerSeconds: 0,
+            quietHours: { grp_side: { start: hhmm(-3600000), end: hhmm(3600000), timeZone: 'UTC' } }
+        });
+        await writeDataFile('posts.json', [dailyPost(twoMinutesAgo(), { groupIds: ['grp_main', 'grp_side'] })]);
+        await initScheduler();
+
+        const [entry] = await historyOf('daily');
+        expect(entry.status).toBe('posted');
+        expect(entry.groupResults.grp_side).toEqual({ status: 'skipped', reason: 'Quiet hours' });
+        expect(server.state.posts.map(p => p.groupId)).toEqual(['grp_main']);
+    });
+
+    it('judges quiet hours by the occurrence time, not when it runs late', async () => {
+        const occurrence = twoMinutesAgo();
+        const hhmm = (offset) => new Date(occurrence.getTime() + offset).toISOString().slice(11, 16);
+        await saveSchedulerSettings({
+            quietHours: { grp_main: { start: hhmm(60000), end: hhmm(3600000), timeZone: 'UTC' } }
+        });
+        await writeDataFile('posts.json', [dailyPost(occurrence)]);
+        await initScheduler();
+
+        expect((await historyOf('daily')).map(p => p.status)).toEqual(['posted']);
+    });
+});
+
+describe('pause and resume', () => {
+    const DAY = 24 * 60 * 60000;
+    const pausedDaily = () => {
+        const start = new Date(Date.now() - 3 * DAY + 60 * 60000);
+        start.setSeconds(0, 0);
+        return {
+            id: 'daily',
+            groupId: 'grp_main',
+            title: 'Daily',
+            text: 'x',
+            scheduledAt: start.toISOString(),
+            createdAt: start.toISOString(),
+            lastOccurrenceAt: start.toISOString(),
+            status: 'paused',
+            pausedAt: new Date(start.getTime() + 60000).toISOString(),
+            recurrence: { rrule: 'FREQ=DAILY', exdates: [] }
+        };
+    };
+
+    it('stops the job and leaves history entries alone', async () => {
+        const post = await addPost({
+            groupId: 'grp_main', title: 'Daily', text: 'x', scheduledAt: inMs(3600000),
+            status: 'recurring', recurrence: { rrule: 'FREQ=DAILY', exdates: [] }
+        });
+        const entry = await addPost({ parentId: post.id, groupId: 'grp_main', title: 'Daily', text: 'x', status: 'posted' }, true);
+
+        await pausePost(post.id);
+
+        expect(getNextRuns()[post.id]).toBeUndefined();
+        expect((await findPost(post.id)).status).toBe('paused');
+        expect(await findPost(entry.id)).toEqual(entry);
+        await expect(pausePost(post.id)).rejects.toThrow('Only recurring posts can be paused');
+    });
+
+    it('resumes without posting what was missed while paused', async () => {
+        await writeDataFile('posts.json', [pausedDaily()]);
+        await initScheduler();
+
+        const res = await resumePost('daily');
+
+        expect(res).toMatchObject({ missed: 2, caughtUp: false, post: { status: 'recurring' } });
+        expect(res.post).not.toHaveProperty('pausedAt');
+        expect(getNextRuns().daily).toBeDefined();
+        expect(server.state.posts).toHaveLength(0);
+    });
+
+    it('posts the latest missed occurrence once when catching up', async () => {
+        await writeDataFile('posts.json', [pausedDaily()]);
+        await initScheduler();
+
+        const res = await resumePost('daily', { catchUp: true });
+
+        expect(res).toMatchObject({ missed: 2, caughtUp: true });
+        const history = (await getPosts(true)).filter(p => p.parentId === 'daily');
+        expect(history.map(p => p.status)).toEqual(['posted']);
+        expect(server.state.posts).toHaveLength(1);
+
+        // A restart doesn't treat the rest as missed
+        await schedule.gracefulShutdown();
+        await initScheduler();
+        expect((await getPosts(true)).filter(p => p.parentId === 'daily')).toHaveLength(1);
+    });
+});
+
+describe('trash', () => {
+    const DAY = 24 * 60 * 60000;
+    const daysAgo = (days) => new Date(Date.now() - days * DAY).toISOString();
+
+    it('restores a trashed post with its previous status and reschedules it', async () => {
+        const post = await addPost({ groupId: 'grp_main', title: 'Later', text: 'x', scheduledAt: inMs(3600000) });
+        await deletePost(post.id);
+        expect(getNextRuns()[post.id]).toBeUndefined();
+
+        const restored = await restorePost(post.id);
+
+        expect(restored.status).toBe('pending');
+        expect(restored).not.toHaveProperty('previousStatus');
+        expect(await findPost(post.id)).toEqual(restored);
+        expect(getNextRuns()[post.id]).toBe(post.scheduledAt);
+    });
+
+    it('brings back a post whose time passed in the trash as missed', async () => {
+        await writeDataFile('posts.json', [{
+            id: 'late', groupId: 'grp_main', title: 'Late', text: 'x', scheduledAt: inMs(-60000),
+            status: 'deleted', previousStatus: 'pending', deletedAt: inMs(-120000)
+        }]);
+
+        const restored = await restorePost('late');
+
+        expect(restored).toMatchObject({ status: 'missed', error: 'Scheduled time passed while in the trash' });
+        await expect(restorePost('late')).rejects.toThrow('Post is not in the trash');
+    });
+
+    it('purges old trashed posts and finished history after the retention period', async () => {
+        await writeDataFile('posts.json', [
+            { id: 'parent', status: 'recurring', createdAt: daysAgo(100), scheduledAt: inMs(DAY), recurrence: { rrule: 'FREQ=DAILY', exdates: [] } },
+            { id: 'old-trash', status: 'deleted', createdAt: daysAgo(100), deletedAt: daysAgo(40) },
+            { id: 'new-trash', status: 'deleted', createdAt: daysAgo(100), deletedAt: daysAgo(5) },
+            { id: 'old-entry', parentId: 'parent', status: 'posted', createdAt: daysAgo(40) },
+            { id: 'undecided', parentId: 'parent', status: 'missed', awaitingDecision: true, createdAt: daysAgo(40) },
+            { id: 'new-entry', parentId: 'parent', status: 'posted', createdAt: daysAgo(5) }
+        ]);
+        await saveSchedulerSettings({ retentionDays: 30 });
+
+        expect(await purgeOldPosts()).toBe(2);
+        expect((await getPosts(true)).map(p => p.id)).toEqual(['parent', 'new-trash', 'undecided', 'new-entry']);
+    });
+});
+
+describe('settings', () => {
+    it('keeps every change when saves overlap', async () => {
+        await Promise.all([
+            saveSchedulerSettings({ retryLimit: 1 }),
+            saveSchedulerSettings({ broadcastStaggerSeconds: 0 }),
+            saveSchedulerSettings({ retentionDays: 7 })
+        ]);
+
+        expect(await saveSchedulerSettings({})).toMatchObject({ retryLimit: 1, broadcastStaggerSeconds: 0, retentionDays: 7 });
+    });
+});
+
+describe('failures and retries', () => {
+    it('retries a server error with backoff and records the attempt', async () => {
+        await saveSchedulerSettings({ retryLimit: 3, retryBaseDelaySeconds: 0.1 });
+        server.state.failures.push({ method: 'POST', path: '/groups/grp_main/posts', status: 503, times: 1 });
+
+        const post = await addPost({ groupId: 'grp_main', title: 'Retry me', text: 'x', scheduledAt: inMs(200) });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('posted'), { timeout: 3000 });
+        const stored = await findPost(post.id);
+        expect(stored.attempts).toHaveLength(1);
+        expect(stored.attempts[0].kind).toBe('server');
+        expect(server.state.posts).toHaveLength(1);
+    });
+
+    it('does not retry permission errors', async () => {
+        const post = await addPost({ groupId: 'grp_side', title: 'Nope', text: 'x', scheduledAt: inMs(200) });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('failed'), { timeout: 3000 });
+        const stored = await findPost(post.id);
+        expect(stored.errorKind).toBe('permission');
+        expect(stored.attempts).toHaveLength(1);
+    });
+});
+
+describe('multi-group broadcasts', () => {
+    beforeEach(async () => {
+        await saveSchedulerSettings({ broadcastStaggerSeconds: 0 });
+    });
+
+    afterEach(() => {
+        server.state.roles = createInitialState().roles;
+    });
+
+    it('records a result per group and retries only the failed ones', async () => {
+        const post = await addPost({
+            groupId: 'grp_main',
+            groupIds: ['grp_main', 'grp_side'],
+            title: 'News for {group.name}',
+            text: 'x',
+            scheduledAt: inMs(200)
+        });
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('failed'), { timeout: 3000 });
+        let stored = await findPost(post.id);
+        expect(stored.groupResults.grp_main.status).toBe('posted');
+        expect(stored.groupResults.grp_side).toMatchObject({ status: 'failed', errorKind: 'permission' });
+        expect(server.state.posts.map(p => p.title)).toEqual(['News for Main Group']);
+
+        server.state.roles.grp_side[0].permissions = ['group-announcement-manage'];
+        stored = await retryFailedGroups(post.id);
+
+        expect(stored.status).toBe('posted');
+        expect(stored.groupResults.grp_side.status).toBe('posted');
+        expect(server.state.posts.map(p => p.title)).toEqual(['News for Main Group', 'News for Side Group']);
+    });
+
+    it('refuses to retry a post without failed groups', async () => {
+        const post = await addPost({ groupId: 'grp_main', title: 'Single', text: 'x', scheduledAt: inMs(60000) });
+        await expect(retryFailedGroups(post.id)).rejects.toThrow('No failed groups to retry');
+    });
+});
+
+describe('expired sessions', () => {
+    const expireSessions = () => {
+        server.state.sessions = {};
+    };
+
+    it('holds a due post until the account logs in again', async () => {
+        await saveSchedulerSettings({ catchUpPolicy: 'grace' });
+        const accountId = await getActiveAccountId();
+        const post = await addPost({ groupId: 'grp_main', title: 'Held', text: 'x', scheduledAt: inMs(200), accountId });
+        expireSessions();
+
+        await vi.waitFor(async () => expect((await findPost(post.id)).status).toBe('waiting-auth'), { timeout: 3000 });
+        expect((await findPost(post.id)).attempts).toBeUndefined();
+
+        await login('owner', 'password');
+        expect(await getActiveAccountId()).toBe(accountId);
+        expect(await releaseHeldPosts(accountId)).toBe(1);
+
+        expect((await findPost(post.id)).status).toBe('posted');
+        expect(server.state.posts.map(p => p.title)).toEqual(['Held']);
+    });
+
+    it('offers posts held past their grace period for rescheduling', async () => {
+        await saveSchedulerSettings({ catchUpPolicy: 'ask' });
+        const accountId = await getActiveAccountId();
+        await writeDataFile('posts.json', [{
+            id: 'old', groupId: 'grp_main', title: 'Old', text: 'x', accountId,
+            scheduledAt: inMs(-60 * 60000), status: 'waiting-auth', error: 'Missing Credentials'
+        }]);
+
+        await releaseHeldPosts(accountId);
+
+        expect((await getMissedPosts()).map(p => p.id)).toEqual(['old']);
+        expect(server.state.posts).toHaveLength(0);
+    });
+
+    it('offers recent held posts for a decision under the "skip" policy', async () => {
+        const accountId = await getActiveAccountId();
+        await writeDataFile('posts.json', [{
+            id: 'held', groupId: 'grp_main', title: 'Held', text: 'x', accountId,
+            scheduledAt: inMs(-60000), status: 'waiting-auth', error: 'Missing Credentials'
+        }]);
+
+        await releaseHeldPosts(accountId);
+
+        expect(await findPost('held')).toMatchObject({ status: 'missed', awaitingDecision: true });
+        expect(server.state.posts).toHaveLength(0);
+    });
+
+    it('keeps a migrated profile apart from other logins until its posts are re-assigned', async () => {
+        await writeDataFile('auth.json', {
+            activeAccountId: 'migrated',
+            pendingAccountId: null,
+            accounts: [{ id: 'migrated', cookies: 'auth=expired' }]
+        });
+        await writeDataFile('posts.json', [{
+            id: 'held', groupId: 'grp_main', title: 'Held', text: 'x', accountId: 'migrated',
+            scheduledAt: inMs(-60000), status: 'waiting-auth', error: 'Missing Credentials'
+        }]);
+        await saveSchedulerSettings({ catchUpPolicy: 'grace' });
+
+        await login('owner', 'password');
+        const accountId = await getActiveAccountId();
+
+        expect(accountId).not.toBe('migrated');
+        expect((await getAccounts()).map(a => a.userId)).toEqual([null, 'usr_owner']);
+        expect(await releaseHeldPosts(accountId)).toBe(0);
+
+        expect(await reassignPosts('migrated', accountId)).toBe(1);
+        expect(await releaseHeldPosts(accountId)).toBe(1);
+        expect((await findPost('held')).status).toBe('posted');
+    });
+});
+
+describe('catch-up on startup', () => {
+    it('holds missed posts for a decision with the "ask" policy', async () => {
+        await writeDataFile('posts.json', [
+            { id: 'late', groupId: 'grp_main', title: 'Late', text: 'x', scheduledAt: inMs(-60 * 60000), status: 'pending', catchUp: { policy: 'ask' } }
+        ]);
+        await initScheduler();
+
+        const missed = await getMissedPosts();
+        expect(missed.map(p => p.id)).toEqual(['late']);
+
+        await resolveMissedPost('late', 'fire');
+        expect((await findPost('late')).status).toBe('posted');
+        expect(await getMissedPosts()).toEqual([]);
+    });
+
+    it('posts a recurring occurrence late within the grace period', async () => {
+        const twoMinutesAgo = new Date(Date.now() - 2 * 60000);
+        twoMinutesAgo.setSeconds(0, 0);
+        await writeDataFile('posts.json', [{
+            id: 'daily',
+            groupId: 'grp_main',
+            title: 'Daily',
+            text: 'x',
+            scheduledAt: twoMinutesAgo.toISOString(),
+            createdAt: new Date(twoMinutesAgo.getTime() - 60000).toISOString(),
+            status: 'recurring',
+            recurrence: { rrule: 'FREQ=DAILY', exdates: [] },
+            catchUp: { policy: 'grace', graceMinutes: 10 }
+        }]);
+        await initScheduler();
+
+        const history = (await getPosts(true)).filter(p => p.parentId === 'daily');
+        expect(history.map(p => p.status)).toEqual(['posted']);
+        expect(server.state.posts).toHaveLength(1);
+    });
+
+    it('marks missed posts without asking under the default "skip" policy', async () => {
+        await writeDataFile('posts.json', [
+            { id: 'late', groupId: 'grp_main', title: 'Late', text: 'x', scheduledAt: inMs(-60000), status: 'pending' }
+        ]);
+        await initScheduler();
+
+        const stored = await findPost('late');
+        expect(stored.status).toBe('missed');
+        expect(stored.awaitingDecision).toBe(false);
+        expect(server.state.posts).toHaveLength(0);
+    });
+});
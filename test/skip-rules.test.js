@@ -0,0 +1,28 @@
+import { describe, it, expect } from 'vitest';
+import { findBlackout, isInQuietHours } from '../main/skip-rules.js';
+
+const holidays = { from: '12-29', to: '01-03', label: 'New Year' };
+
+describe('findBlackout', () => {
+    it('matches yearly ranges that wrap into the next year', () => {
+        expect(findBlackout([holidays], new Date('2026-12-31T12:00:00Z'), 'UTC')).toBe(holidays);
+        expect(findBlackout([holidays], new Date('2027-01-03T12:00:00Z'), 'UTC')).toBe(holidays);
+        expect(findBlackout([holidays], new Date('2027-01-04T12:00:00Z'), 'UTC')).toBeNull();
+    });
+
+    it('compares days in the post\'s time zone', () => {
+        const once = { from: '2026-11-03', to: '2026-11-03' };
+        // 2026-11-02 20:00 UTC is already the 3rd in Tokyo
+        expect(findBlackout([once], new Date('2026-11-02T20:00:00Z'), 'Asia/Tokyo')).toBe(once);
+        expect(findBlackout([once], new Date('2026-11-02T20:00:00Z'), 'UTC')).toBeNull();
+    });
+});
+
+describe('isInQuietHours', () => {
+    it('handles quiet hours that span midnight', () => {
+        const night = { start: '23:00', end: '07:00', timeZone: 'Asia/Tokyo' };
+        expect(isInQuietHours(night, new Date('2026-10-20T15:00:00Z'))).toBe(true); // 00:00 JST
+        expect(isInQuietHours(night, new Date('2026-10-20T22:00:00Z'))).toBe(false); // 07:00 JST
+        expect(isInQuietHours(undefined, new Date())).toBe(false);
+    });
+});
@@ -0,0 +1,74 @@
+import fs from 'fs/promises';
+import path from 'path';
+import { describe, it, expect, beforeEach } from 'vitest';
+import { readJson, writeJson, updateJson } from '../main/storage.js';
+import { useTempUserData, readDataFile } from './helpers.js';
+
+let dataDir;
+
+beforeEach(async () => {
+    dataDir = path.join(await useTempUserData(), 'data');
+});
+
+describe('storage', () => {
+    it('does not lose concurrent read-modify-write updates', async () => {
+        await writeJson('items.json', []);
+        await Promise.all(
+            Array.from({ length: 20 }, (_, i) => updateJson('items.json', [], items => [...items, i]))
+        );
+
+        const items = await readJson('items.json', []);
+        expect(items).toHaveLength(20);
+        expect([...items].sort((a, b) => a - b)).toEqual(Array.from({ length: 20 }, (_, i) => i));
+    });
+
+    it('releases the file when an update throws', async () => {
+        await writeJson('items.json', [1]);
+        await expect(updateJson('items.json', [], () => {
+            throw new Error('nope');
+        })).rejects.toThrow('nope');
+
+        await updateJson('items.json', [], items => [...items, 2]);
+        expect(await readJson('items.json', [])).toEqual([1, 2]);
+    });
+
+    it('keeps rotating backups and leaves no temp file behind', async () => {
+        for (let version = 1; version <= 5; version++) {
+            await writeJson('settings.json', { version });
+        }
+
+        const files = (await fs.readdir(dataDir)).sort();
+        expect(files).toEqual(['settings.json', 'settings.json.bak', 'settings.json.bak.1', 'settings.json.bak.2']);
+        expect(await readDataFile('settings.json')).toEqual({ version: 5 });
+        expect(await readDataFile('settings.json.bak')).toEqual({ version: 4 });
+        expect(await readDataFile('settings.json.bak.2')).toEqual({ version: 2 });
+    });
+
+    it('recovers a corrupted file from the last good backup', async () => {
+        await writeJson('posts.json', [{ id: 'a' }]);
+        await writeJson('posts.json', [{ id: 'a' }, { id: 'b' }]);
+        await fs.writeFile(path.join(dataDir, 'posts.json'), '[{"id": "a"}, {"i');
+
+        expect(await readJson('posts.json', [])).toEqual([{ id: 'a' }]);
+        // The recovered copy replaces the broken file, which is kept for inspection
+        expect(await readDataFile('posts.json')).toEqual([{ id: 'a' }]);
+        expect(await fs.readFile(path.join(dataDir, 'posts.json.corrupt'), 'utf-8')).toBe('[{"id": "a"}, {"i');
+    });
+
+    it('falls back to older backups when newer ones are broken too', async () => {
+        await writeJson('posts.json', [{ id: 'a' }]);
+        await writeJson('posts.json', [{ id: 'b' }]);
+        await writeJson('posts.json', [{ id: 'c' }]);
+        await fs.writeFile(path.join(dataDir, 'posts.json'), '');
+        await fs.writeFile(path.join(dataDir, 'posts.json.bak'), 'garbage');
+
+        expect(await readJson('posts.json', [])).toEqual([{ id: 'a' }]);
+    });
+
+    it('returns the default when nothing can be recovered', async () => {
+        await fs.mkdir(dataDir, { recursive: true });
+        await fs.writeFile(path.join(dataDir, 'posts.json'), 'garbage');
+
+        expect(await readJson('posts.json', [])).toEqual([]);
+    });
+});
@@ -0,0 +1,318 @@
+import { describe, it, expect, beforeAll, afterAll, beforeEach, vi } from 'vitest';
+import {
+    login, verify2FA, logout, getCurrentUser, getAccounts, switchAccount, getUserGroups, checkGroupPermission,
+    createGroupPost, createGroupEvent, deleteGroupPost, getGroup, getGroupRoles, VRChatApiError, authEvents
+} from '../main/vrchat.js';
+import { startMockServer, stopMockServer, useTempUserData } from './helpers.js';
+
+let server;
+
+beforeAll(async () => {
+    server = await startMockServer();
+});
+
+afterAll(async () => {
+    await stopMockServer(server);
+});
+
+beforeEach(async () => {
+    await useTempUserData();
+    server.state.failures = [];
+});
+
+describe('authentication', () => {
+    it('logs in without 2FA and keeps the session cookie', async () => {
+        const user = await login('owner', 'password');
+        expect(user.id).toBe('usr_owner');
+
+        const current = await getCurrentUser();
+        expect(current.displayName).toBe('Group Owner');
+    });
+
+    it('rejects a wrong password', async () => {
+        await expect(login('owner', 'nope')).rejects.toThrow('Invalid Username/Email or Password');
+        expect(await getCurrentUser()).toBeNull();
+    });
+
+    it('requires a TOTP code when the account has 2FA', async () => {
+        const data = await login('moderator', 'password');
+        expect(data.requiresTwoFactorAuth).toBeTruthy();
+        expect(await getCurrentUser()).toBeNull();
+
+        await expect(verify2FA('000000')).rejects.toThrow('Invalid TOTP code');
+        await verify2FA('123456');
+
+        const current = await getCurrentUser();
+        expect(current.id).toBe('usr_moderator');
+    });
+
+    it('lists the 2FA methods the account allows', async () => {
+        expect((await login('moderator', 'password')).twoFactorMethods).toEqual(['totp', 'otp']);
+        expect((await login('mailer', 'password')).twoFactorMethods).toEqual(['emailotp']);
+    });
+
+    it('verifies with an emailed code', async () => {
+        await login('mailer', 'password');
+        await expect(verify2FA('654321', 'totp')).rejects.toThrow('cannot be verified with totp');
+        await verify2FA('654321', 'emailotp');
+
+        expect((await getCurrentUser()).id).toBe('usr_mailer');
+    });
+
+    it('verifies with a single-use recovery code', async () => {
+        await login('moderator', 'password');
+        await verify2FA('rec-0001', 'otp');
+        expect((await getCurrentUser()).id).toBe('usr_moderator');
+
+        await login('moderator', 'password');
+        await expect(verify2FA('rec-0001', 'otp')).rejects.toThrow('Invalid recovery code');
+    });
+
+    it('forgets the session on logout', async () => {
+        await login('owner', 'password');
+        await logout();
+        expect(await getCurrentUser()).toBeNull();
+    });
+});
+
+describe('accounts', () => {
+    const loginModerator = async () => {
+        await login('moderator', 'password');
+        await verify2FA('123456');
+    };
+
+    it('keeps several accounts logged in and switches between them', async () => {
+        await login('owner', 'password');
+        await loginModerator();
+
+        const accounts = await getAccounts();
+        expect(accounts.map(a => [a.displayName, a.active])).toEqual([
+            ['Group Owner', false],
+            ['Moderator', true]
+        ]);
+
+        await switchAccount(accounts[0].id);
+        expect((await getCurrentUser()).id).toBe('usr_owner');
+    });
+
+    it('posts with the given account regardless of the active one', async () => {
+        await login('owner', 'password');
+        await loginModerator();
+        const [owner] = await getAccounts();
+
+        await createGroupPost('grp_main', { title: 'From owner', text: 'x' }, owner.id);
+        expect(server.state.posts.at(-1)).toMatchObject({ title: 'From owner', authorId: 'usr_owner' });
+    });
+
+    it('reuses the profile when the same account logs in again', async () => {
+        await login('owner', 'password');
+        const [first] = await getAccounts();
+        await login('owner', 'password');
+
+        const accounts = await getAccounts();
+        expect(accounts).toHaveLength(1);
+        expect(accounts[0].id).toBe(first.id);
+    });
+
+    it('logs out only the active account', async () => {
+        await login('owner', 'password');
+        await loginModerator();
+
+        const remaining = await logout();
+        expect(remaining.map(a => [a.displayName, a.active])).toEqual([['Group Owner', true]]);
+        expect((await getCurrentUser()).id).toBe('usr_owner');
+    });
+
+    it('fails posts of a logged-out account as auth errors', async () => {
+        await login('owner', 'password');
+        const [owner] = await getAccounts();
+        await logout();
+
+        const err = await createGroupPost('grp_main', { title: 'a', text: 'b' }, owner.id).catch(e => e);
+        expect(err).toBeInstanceOf(VRChatApiError);
+        expect(err.kind).toBe('auth');
+    });
+
+    it('reports an expired session once and clears it on the next login', async () => {
+        await login('owner', 'password');
+        const listener = vi.fn();
+        authEvents.on('session-expired', listener);
+        server.state.sessions = {};
+
+        try {
+            const err = await createGroupPost('grp_main', { title: 'a', text: 'b' }).catch(e => e);
+            expect(err.sessionExpired).toBe(true);
+            await createGroupPost('grp_main', { title: 'a', text: 'b' }).catch(() => {});
+
+            expect(listener).toHaveBeenCalledTimes(1);
+            expect(listener.mock.calls[0][0]).toMatchObject({ displayName: 'Group Owner' });
+            expect((await getAccounts())[0].sessionExpired).toBe(true);
+
+            await login('owner', 'password');
+            expect((await getAccounts())[0].sessionExpired).toBe(false);
+        } finally {
+            authEvents.off('session-expired', listener);
+        }
+    });
+
+    it('does not list a login still waiting for its 2FA code', async () => {
+        await login('owner', 'password');
+        await login('moderator', 'password');
+
+        expect((await getAccounts()).map(a => a.displayName)).toEqual(['Group Owner']);
+        expect((await getCurrentUser()).id).toBe('usr_owner');
+    });
+});
+
+describe('groups', () => {
+    it('lists groups and marks the ones the user owns', async () => {
+        await login('owner', 'password');
+        const groups = await getUserGroups('usr_owner');
+
+        expect(groups.map(g => [g.groupId, g.isOwner])).toEqual([
+            ['grp_main', true],
+            ['grp_side', false]
+        ]);
+    });
+
+    it('checks the announcement permission through group roles', async () => {
+        await login('moderator', 'password');
+        await verify2FA('123456');
+
+        expect(await checkGroupPermission('grp_main')).toBe(true);
+        expect(await checkGroupPermission('grp_side')).toBe(false);
+    });
+
+    it('lists group roles', async () => {
+        await login('owner', 'password');
+        expect((await getGroupRoles('grp_main')).map(r => r.name)).toEqual(['Owner', 'Staff']);
+    });
+
+    it('reports an expired session instead of a missing permission', async () => {
+        await login('owner', 'password');
+        server.state.sessions = {};
+
+        await expect(checkGroupPermission('grp_main')).rejects.toMatchObject({ kind: 'auth', status: 401 });
+        await expect(getUserGroups('usr_owner')).rejects.toMatchObject({ kind: 'auth', status: 401 });
+        expect((await getAccounts())[0].sessionExpired).toBe(true);
+    });
+
+    it('reports an expired session when listing roles', async () => {
+        await login('owner', 'password');
+        server.state.sessions = {};
+
+        await expect(getGroupRoles('grp_main')).rejects.toMatchObject({ kind: 'auth', status: 401 });
+        expect((await getAccounts())[0].sessionExpired).toBe(true);
+    });
+
+    it('fetches a single group', async () => {
+        await login('owner', 'password');
+        expect((await getGroup('grp_main')).name).toBe('Main Group');
+    });
+});
+
+describe('createGroupPost', () => {
+    beforeEach(async () => {
+        await login('owner', 'password');
+    });
+
+    it('creates the post on the group', async () => {
+        const post = await createGroupPost('grp_main', { title: 'Hello', text: 'World', visibility: 'public' });
+
+        expect(post.id).toMatch(/^gpost_/);
+        expect(server.state.posts.at(-1)).toMatchObject({ groupId: 'grp_main', title: 'Hello' });
+    });
+
+    it.each([
+        [401, 'auth', false],
+        [403, 'permission', false],
+        [400, 'validation', false],
+        [503, 'server', true],
+        [429, 'rate-limit', true]
+    ])('classifies HTTP %i as %s', async (status, kind, retryable) => {
+        server.state.failures.push({ method: 'POST', path: '/groups/grp_main/posts', status, times: 1 });
+
+        const err = await createGroupPost('grp_main', { title: 'a', text: 'b' }).catch(e => e);
+        expect(err).toBeInstanceOf(VRChatApiError);
+        expect(err.kind).toBe(kind);
+        expect(err.status).toBe(status);
+        expect(err.retryable).toBe(retryable);
+    });
+
+    it('reads Retry-After from rate limit responses', async () => {
+        server.state.failures.push({ method: 'POST', path: '/groups/grp_main/posts', status: 429, retryAfter: 42, times: 1 });
+
+        const err = await createGroupPost('grp_main', { title: 'a', text: 'b' }).catch(e => e);
+        expect(err.retryAfterMs).toBe(42000);
+    });
+
+    it('rejects roles on a public post', async () => {
+        const err = await createGroupPost('grp_main', { title: 'a', text: 'b', visibility: 'public', roleIds: ['grol_staff'] })
+            .catch(e => e);
+        expect(err.kind).toBe('validation');
+    });
+
+    it('reports permission errors from the server', async () => {
+        const err = await createGroupPost('grp_side', { title: 'a', text: 'b' }).catch(e => e);
+        expect(err.kind).toBe('permission');
+    });
+
+    it('deletes a post and treats one that is already gone as done', async () => {
+        const post = await createGroupPost('grp_main', { title: 'Short-lived', text: 'x' });
+
+        expect(await deleteGroupPost('grp_main', post.id)).toBe(true);
+        expect(server.state.posts.find(p => p.id === post.id)).toBeUndefined();
+        expect(await deleteGroupPost('grp_main', post.id)).toBe(false);
+    });
+
+    it('classifies connection failures as network errors', async () => {
+        process.env.VRCHAT_API_BASE = 'http://127.0.0.1:1/api/1';
+        try {
+            const err = await createGroupPost('grp_main', { title: 'a', text: 'b' }).catch(e => e);
+            expect(err.kind).toBe('network');
+            expect(err.retryable).toBe(true);
+            expect((await getGroupRoles('grp_main').catch(e => e)).kind).toBe('network');
+        } finally {
+            process.env.VRCHAT_API_BASE = `http://127.0.0.1:${server.address().port}/api/1`;
+        }
+    });
+});
+
+describe('createGroupEvent', () => {
+    const eventData = {
+        title: 'Club night',
+        startsAt: '2030-01-04T12:00:00.000Z',
+        endsAt: '2030-01-04T14:00:00.000Z',
+        category: 'music'
+    };
+
+    beforeEach(async () => {
+        await login('owner', 'password');
+    });
+
+    it('creates the event on the group calendar', async () => {
+        const event = await createGroupEvent('grp_main', eventData);
+
+        expect(event.id).toMatch(/^cal_/);
+        expect(server.state.events.at(-1)).toMatchObject({ ownerId: 'grp_main', title: 'Club night' });
+    });
+
+    it('needs calendar permission rather than announcement permission', async () => {
+        await logout();
+        await login('moderator', 'password');
+        await verify2FA('123456');
+
+        expect(await checkGroupPermission('grp_main', 'group-calendar-manage')).toBe(true);
+        expect(await checkGroupPermission('grp_side', 'group-calendar-manage')).toBe(false);
+        const err = await createGroupEvent('grp_side', eventData).catch(e => e);
+        expect(err.kind).toBe('permission');
+    });
+
+    it('rejects unknown categories before calling VRChat', async () => {
+        const requests = server.state.requests.length;
+        const err = await createGroupEvent('grp_main', { ...eventData, category: 'karaoke' }).catch(e => e);
+
+        expect(err.kind).toBe('validation');
+        expect(server.state.requests).toHaveLength(requests);
+    });
+});
@@ -0,0 +1,13 @@
+import path from 'path';
+import { defineConfig } from 'vitest/config';
+
+export default defineConfig({
+  test: {
+    include: ['test/**/*.test.js'],
+    environment: 'node',
+    // Main-process modules run outside Electron against the mock VRChat server
+    alias: {
+      electron: path.resolve(__dirname, 'test/electron-stub.js'),
+    },
+  },
+})